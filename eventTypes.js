@@ -0,0 +1,185 @@
+// Event types a group can be for, with their theme and how to work out the
+// next date. Shared by server.js (require) and index.html (served as
+// /eventTypes.js, where it defines window.EventTypes). IDs are stored in group
+// data as `holiday`, so never rename one; labels are translated through the
+// locales like any other text.
+(function () {
+  // date rules:
+  //   { month, day }  the same day every year
+  //   { dates: [...] } first day per year, for holidays that follow a lunar
+  //                    or lunisolar calendar (extend the list as years pass)
+  //   null            no fixed date (the app suggests the same date next year)
+  const EVENT_TYPES = {
+    Christmas: {
+      label: 'Christmas',
+      date: { month: 12, day: 25 },
+      theme: {
+        primaryColor: '#c41e3a',
+        secondaryColor: '#165b33',
+        background: 'linear-gradient(135deg, #1e3c72 0%, #2a5298 50%, #7e22ce 100%)',
+        fallingItem: '❄',
+        buttonStyle: 'linear-gradient(135deg, #c41e3a 0%, #165b33 100%)',
+        headerEmoji1: '🎄',
+        headerEmoji2: '🎁'
+      }
+    },
+    Hanukkah: {
+      label: 'Hanukkah',
+      // First full day; the first candle is lit the evening before
+      date: { dates: ['2024-12-26', '2025-12-15', '2026-12-05', '2027-12-25', '2028-12-13', '2029-12-02', '2030-12-21'] },
+      theme: {
+        primaryColor: '#2563eb',
+        secondaryColor: '#0284c7',
+        background: 'linear-gradient(135deg, #1e3a8a 0%, #1e40af 50%, #3b82f6 100%)',
+        fallingItem: '✡',
+        buttonStyle: '#2563eb',
+        headerEmoji1: '🕎',
+        headerEmoji2: '✡'
+      }
+    },
+    Diwali: {
+      label: 'Diwali',
+      // Lakshmi Puja, the main day of the festival
+      date: { dates: ['2025-10-20', '2026-11-08', '2027-10-29', '2028-10-17', '2029-11-05', '2030-10-26'] },
+      theme: {
+        primaryColor: '#ea580c',
+        secondaryColor: '#ca8a04',
+        background: 'linear-gradient(135deg, #7c2d12 0%, #c2410c 50%, #f59e0b 100%)',
+        fallingItem: '✨',
+        buttonStyle: 'linear-gradient(135deg, #ea580c 0%, #db2777 100%)',
+        headerEmoji1: '🪔',
+        headerEmoji2: '✨'
+      }
+    },
+    Eid: {
+      label: 'Eid al-Fitr',
+      // Expected dates; the actual day depends on the moon sighting
+      date: { dates: ['2025-03-30', '2026-03-20', '2027-03-09', '2028-02-26', '2029-02-14', '2030-02-04'] },
+      theme: {
+        primaryColor: '#047857',
+        secondaryColor: '#b8860b',
+        background: 'linear-gradient(135deg, #064e3b 0%, #047857 50%, #0f766e 100%)',
+        fallingItem: '⭐',
+        buttonStyle: 'linear-gradient(135deg, #047857 0%, #b8860b 100%)',
+        headerEmoji1: '🌙',
+        headerEmoji2: '⭐'
+      }
+    },
+    LunarNewYear: {
+      label: 'Lunar New Year',
+      date: { dates: ['2025-01-29', '2026-02-17', '2027-02-06', '2028-01-26', '2029-02-13', '2030-02-03'] },
+      theme: {
+        primaryColor: '#dc2626',
+        secondaryColor: '#d97706',
+        background: 'linear-gradient(135deg, #7f1d1d 0%, #b91c1c 50%, #f59e0b 100%)',
+        fallingItem: '🧧',
+        buttonStyle: 'linear-gradient(135deg, #dc2626 0%, #d97706 100%)',
+        headerEmoji1: '🏮',
+        headerEmoji2: '🧧'
+      }
+    },
+    Birthday: {
+      label: 'Birthday',
+      date: null,
+      theme: {
+        primaryColor: '#9333ea',
+        secondaryColor: '#ec4899',
+        background: 'linear-gradient(135deg, #667eea 0%, #764ba2 50%, #f093fb 100%)',
+        fallingItem: '🎈',
+        buttonStyle: '#9333ea',
+        headerEmoji1: '🎂',
+        headerEmoji2: '🎈'
+      }
+    },
+    Anniversary: {
+      label: 'Anniversary',
+      date: null,
+      theme: {
+        primaryColor: '#db2777',
+        secondaryColor: '#f59e0b',
+        background: 'linear-gradient(135deg, #be185d 0%, #db2777 50%, #ec4899 100%)',
+        fallingItem: '💕',
+        buttonStyle: 'linear-gradient(135deg, #db2777 0%, #f59e0b 100%)',
+        headerEmoji1: '💕',
+        headerEmoji2: '💐'
+      }
+    },
+    Wedding: {
+      label: 'Wedding',
+      date: null,
+      theme: {
+        primaryColor: '#9d174d',
+        secondaryColor: '#b8860b',
+        background: 'linear-gradient(135deg, #831843 0%, #9d174d 50%, #d4af37 100%)',
+        fallingItem: '🤍',
+        buttonStyle: 'linear-gradient(135deg, #9d174d 0%, #b8860b 100%)',
+        headerEmoji1: '💍',
+        headerEmoji2: '💒'
+      }
+    },
+    BabyShower: {
+      label: 'Baby Shower',
+      date: null,
+      theme: {
+        primaryColor: '#0284c7',
+        secondaryColor: '#db2777',
+        background: 'linear-gradient(135deg, #0369a1 0%, #38bdf8 50%, #f9a8d4 100%)',
+        fallingItem: '🍼',
+        buttonStyle: 'linear-gradient(135deg, #0284c7 0%, #db2777 100%)',
+        headerEmoji1: '👶',
+        headerEmoji2: '🍼'
+      }
+    },
+    Other: {
+      label: 'Other',
+      date: null,
+      theme: {
+        primaryColor: '#059669',
+        secondaryColor: '#8b5cf6',
+        background: 'linear-gradient(135deg, #10b981 0%, #8b5cf6 50%, #f59e0b 100%)',
+        fallingItem: '🎊',
+        buttonStyle: 'linear-gradient(135deg, #059669 0%, #8b5cf6 100%)',
+        headerEmoji1: '🎉',
+        headerEmoji2: '🎊'
+      }
+    }
+  };
+
+  const EVENT_TYPE_IDS = Object.keys(EVENT_TYPES);
+  const DEFAULT_EVENT_TYPE = 'Christmas';
+
+  function getEventType(id) {
+    return EVENT_TYPES[id] || EVENT_TYPES[DEFAULT_EVENT_TYPE];
+  }
+
+  // A local date (or YYYY-MM-DD string) as YYYY-MM-DD
+  function toDateString(date) {
+    if (typeof date === 'string') return date.substring(0, 10);
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  // The type's next date on or after `from` as YYYY-MM-DD, or '' when it has
+  // no fixed date (or the list of dates has run out)
+  function nextEventDate(id, from = new Date()) {
+    const rule = EVENT_TYPES[id] && EVENT_TYPES[id].date;
+    const start = toDateString(from);
+    if (!rule) return '';
+
+    if (rule.dates) {
+      return rule.dates.find(date => date >= start) || '';
+    }
+
+    const year = Number(start.substring(0, 4));
+    const sameDay = `-${String(rule.month).padStart(2, '0')}-${String(rule.day).padStart(2, '0')}`;
+    return `${year}${sameDay}` >= start ? `${year}${sameDay}` : `${year + 1}${sameDay}`;
+  }
+
+  const EventTypes = { EVENT_TYPES, EVENT_TYPE_IDS, DEFAULT_EVENT_TYPE, getEventType, toDateString, nextEventDate };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = EventTypes;
+  } else {
+    window.EventTypes = EventTypes;
+  }
+})();
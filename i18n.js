@@ -0,0 +1,100 @@
+// Translation helpers and the supported languages and currencies. Shared by
+// server.js (require) and index.html (served as /i18n.js, where it defines
+// window.I18n).
+//
+// English text is its own key: locales/<language>.json maps each English
+// string to its translation, and anything missing stays in English.
+// {name} placeholders are filled in from params after translating.
+(function () {
+  const LANGUAGES = { en: 'English', es: 'Español', fr: 'Français' };
+  const DEFAULT_LANGUAGE = 'en';
+
+  // Currencies a group can track prices and its budget in
+  const CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'MXN', 'CHF', 'INR', 'PKR', 'AED', 'SAR', 'CNY', 'HKD', 'SGD', 'JPY', 'KRW'];
+  const DEFAULT_CURRENCY = 'USD';
+
+  // Countries whose currency differs from the default, for guessCurrency
+  const REGION_CURRENCIES = {
+    GB: 'GBP', CA: 'CAD', AU: 'AUD', NZ: 'NZD', MX: 'MXN', CH: 'CHF', IN: 'INR', PK: 'PKR', AE: 'AED',
+    SA: 'SAR', CN: 'CNY', HK: 'HKD', SG: 'SGD', JP: 'JPY', KR: 'KRW',
+    AT: 'EUR', BE: 'EUR', DE: 'EUR', ES: 'EUR', FI: 'EUR', FR: 'EUR', GR: 'EUR', IE: 'EUR', IT: 'EUR',
+    LU: 'EUR', NL: 'EUR', PT: 'EUR'
+  };
+
+  function isSupportedLanguage(language) {
+    return typeof language === 'string' && Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+  }
+
+  // First supported language in an Accept-Language header or a list of
+  // language tags ('es-MX' matches 'es'), or null
+  function matchLanguage(preferences) {
+    const tags = Array.isArray(preferences) ? preferences : String(preferences || '').split(',');
+    for (const tag of tags) {
+      const code = tag.split(';')[0].trim().toLowerCase().split('-')[0];
+      if (isSupportedLanguage(code)) return code;
+    }
+    return null;
+  }
+
+  // The currency of the first language tag that names a known country
+  function guessCurrency(preferences) {
+    for (const tag of Array.isArray(preferences) ? preferences : [preferences]) {
+      const region = String(tag || '').split('-')[1];
+      if (region && REGION_CURRENCIES[region.toUpperCase()]) return REGION_CURRENCIES[region.toUpperCase()];
+    }
+    return DEFAULT_CURRENCY;
+  }
+
+  function format(text, params = {}) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  }
+
+  const lookup = (catalog, text) => (catalog && Object.prototype.hasOwnProperty.call(catalog, text) ? catalog[text] : null);
+
+  function translate(catalog, text, params) {
+    return format(lookup(catalog, text) || text, params);
+  }
+
+  // Translate a message whose placeholders were already filled in, such as a
+  // server error: "Price must be a number between 0 and 1000000" matches the
+  // catalog entry for "Price must be a number between 0 and {max}". Patterns
+  // are built once per catalog and tried most specific (most fixed text) first,
+  // so short entries like "{min}-{max}" don't swallow longer messages.
+  const patternCache = new WeakMap();
+  function translateMessage(catalog, message) {
+    if (!catalog || typeof message !== 'string') return message;
+    if (lookup(catalog, message)) return lookup(catalog, message);
+
+    if (!patternCache.has(catalog)) {
+      const patterns = Object.keys(catalog).filter(key => key.includes('{')).map(key => {
+        const names = [];
+        const source = key.split(/\{(\w+)\}/).map((part, index) => {
+          if (index % 2 === 0) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+          names.push(part);
+          return '(.+?)';
+        }).join('');
+        return { key, names, regex: new RegExp(`^${source}$`), fixedLength: key.replace(/\{\w+\}/g, '').length };
+      });
+      patternCache.set(catalog, patterns.sort((a, b) => b.fixedLength - a.fixedLength));
+    }
+
+    for (const { key, names, regex } of patternCache.get(catalog)) {
+      const match = regex.exec(message);
+      if (match) {
+        return translate(catalog, key, Object.fromEntries(names.map((name, index) => [name, match[index + 1]])));
+      }
+    }
+    return message;
+  }
+
+  const I18n = {
+    LANGUAGES, DEFAULT_LANGUAGE, CURRENCIES, DEFAULT_CURRENCY,
+    isSupportedLanguage, matchLanguage, guessCurrency, format, translate, translateMessage
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = I18n;
+  } else {
+    window.I18n = I18n;
+  }
+})();
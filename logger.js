@@ -0,0 +1,77 @@
+// Structured JSON logger. Every entry is one line of JSON:
+// { time, level, msg, ...fields }. LOG_LEVEL sets the lowest level written
+// (debug, info, warn or error; default info). Warnings and errors go to
+// stderr, everything else to stdout.
+//
+// Personal data never reaches the logs: fields with sensitive names (names,
+// emails, messages, tokens, passwords...) are replaced with '[redacted]' and
+// anything that looks like an email address is masked wherever it appears.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const SENSITIVE_KEY = /^(name|username|email|to|message|text|notes|admin_?notes|password|pass|token|.*Token|authorization|cookie|secret)$/i;
+const EMAIL_PATTERN = /[^\s@"'<>]+@[^\s@"'<>]+\.[a-z]{2,}/gi;
+const MAX_DEPTH = 5;
+
+const minLevel = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+
+function serializeError(error) {
+  return {
+    type: error.name,
+    message: redact(error.message),
+    code: error.code,
+    stack: redact(error.stack)
+  };
+}
+
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (typeof value === 'string') {
+    return value.replace(EMAIL_PATTERN, '[redacted email]');
+  }
+  if (!value || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[truncated]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const redacted = {};
+  for (const [key, item] of Object.entries(value)) {
+    redacted[key] = SENSITIVE_KEY.test(key) ? '[redacted]' : redact(item, depth + 1);
+  }
+  return redacted;
+}
+
+// Create a logger whose entries all include `bindings` (e.g. a request ID)
+function createLogger(bindings = {}) {
+  function write(level, msg, fields = {}) {
+    if (LEVELS[level] < minLevel) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...redact(bindings),
+      ...redact(fields instanceof Error ? { error: fields } : fields)
+    };
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(JSON.stringify(entry) + '\n');
+  }
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    child: moreBindings => createLogger({ ...bindings, ...moreBindings })
+  };
+}
+
+module.exports = createLogger();
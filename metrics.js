@@ -0,0 +1,85 @@
+// In-process metrics, rendered in the Prometheus text format for GET /metrics.
+// Values live in memory and reset when the server restarts.
+
+const registry = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are keyed by their labels in a stable order
+function seriesKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(key => [key, labels[key]]));
+}
+
+// A value that only goes up, e.g. requests served
+function counter(name, help) {
+  const series = new Map();
+  registry.push({
+    name,
+    help,
+    type: 'counter',
+    render: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+  });
+
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = seriesKey(labels);
+      const current = series.get(key) || { labels, value: 0 };
+      current.value += amount;
+      series.set(key, current);
+    }
+  };
+}
+
+// A distribution of observed values (e.g. request latency in seconds)
+function histogram(name, help, buckets) {
+  const series = new Map();
+  registry.push({
+    name,
+    help,
+    type: 'histogram',
+    render: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...buckets.map((bucket, index) => `${name}_bucket${formatLabels({ ...labels, le: bucket })} ${counts[index]}`),
+      `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${name}_sum${formatLabels(labels)} ${sum}`,
+      `${name}_count${formatLabels(labels)} ${count}`
+    ])
+  });
+
+  return {
+    observe(labels, value) {
+      const key = seriesKey(labels);
+      const current = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bucket, index) => {
+        if (value <= bucket) current.counts[index]++;
+      });
+      current.sum += value;
+      current.count++;
+      series.set(key, current);
+    }
+  };
+}
+
+// A value read when metrics are scraped. collect() returns [{ labels, value }].
+function gauge(name, help, collect) {
+  registry.push({
+    name,
+    help,
+    type: 'gauge',
+    render: () => collect().map(({ labels, value }) => `${name}${formatLabels(labels || {})} ${value}`)
+  });
+}
+
+function render() {
+  return registry
+    .map(metric => [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.render()].join('\n'))
+    .join('\n') + '\n';
+}
+
+module.exports = { counter, histogram, gauge, render };
@@ -0,0 +1,83 @@
+// Database migrations (PostgreSQL storage)
+//
+//   npm run migrate                    Apply all pending migrations
+//   npm run migrate -- up [version]    Apply pending migrations up to a version
+//   npm run migrate -- down [steps]    Revert the latest migrations (default 1)
+//   npm run migrate -- status          List migrations and when they were applied
+//   npm run migrate -- create <name>   Add an empty migration with the next number
+const fs = require('fs');
+const path = require('path');
+const { createStorage } = require('./storage');
+const { MIGRATIONS_DIR, loadMigrations } = require('./storage/migrations');
+
+const TEMPLATE = `// Describe what this migration changes
+module.exports = {
+  async up(db) {
+    await db.query('');
+  },
+
+  async down(db) {
+    await db.query('');
+  }
+};
+`;
+
+function createMigration(name) {
+  const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  if (!slug) {
+    throw new Error('Usage: npm run migrate -- create <name>');
+  }
+
+  const migrations = loadMigrations();
+  const version = migrations.length > 0 ? migrations[migrations.length - 1].version + 1 : 1;
+  const file = path.join(MIGRATIONS_DIR, `${String(version).padStart(3, '0')}_${slug}.js`);
+  fs.writeFileSync(file, TEMPLATE, { flag: 'wx' });
+  console.log(`Created ${path.relative(process.cwd(), file)}`);
+}
+
+function parseCount(value, fallback) {
+  if (value === undefined) {
+    return fallback;
+  }
+  const count = parseInt(value, 10);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`Expected a positive number, got "${value}"`);
+  }
+  return count;
+}
+
+async function main([command = 'up', arg]) {
+  if (command === 'create') {
+    return createMigration(arg);
+  }
+
+  const storage = createStorage();
+  if (!storage.migrateUp) {
+    throw new Error(`Migrations only apply to PostgreSQL storage (STORAGE is "${storage.name}")`);
+  }
+
+  try {
+    if (command === 'up') {
+      const applied = await storage.migrateUp({ to: parseCount(arg, Infinity) });
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Already up to date');
+    } else if (command === 'down') {
+      const reverted = await storage.migrateDown({ steps: parseCount(arg, 1) });
+      console.log(reverted.length > 0 ? `Reverted ${reverted.length} migration(s)` : 'Nothing to revert');
+    } else if (command === 'status') {
+      for (const migration of await storage.migrationStatus()) {
+        const state = migration.unknown ? 'applied, but no migration file'
+          : migration.appliedAt ? `applied ${new Date(migration.appliedAt).toISOString()}` : 'pending';
+        console.log(`${String(migration.version).padStart(3, '0')}_${migration.name}: ${state}`);
+      }
+    } else {
+      throw new Error(`Unknown command "${command}" (expected up, down, status or create)`);
+    }
+  } finally {
+    await storage.close();
+  }
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
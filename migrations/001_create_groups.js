@@ -0,0 +1,21 @@
+// Groups: one row per group, with the whole group document as JSONB.
+// Databases from before created_at existed get it backfilled from updated_at.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS groups (
+        group_id VARCHAR(255) PRIMARY KEY,
+        data JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query('ALTER TABLE groups ADD COLUMN IF NOT EXISTS created_at TIMESTAMP');
+    await db.query('UPDATE groups SET created_at = updated_at WHERE created_at IS NULL');
+    await db.query('ALTER TABLE groups ALTER COLUMN created_at SET DEFAULT CURRENT_TIMESTAMP');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS groups');
+  }
+};
@@ -0,0 +1,10 @@
+// Revision counter used to detect stale writes
+module.exports = {
+  async up(db) {
+    await db.query('ALTER TABLE groups ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1');
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE groups DROP COLUMN IF EXISTS revision');
+  }
+};
@@ -0,0 +1,19 @@
+// Secret tokens proving who a member is (only their hashes are stored)
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS member_tokens (
+        token_hash CHAR(64) PRIMARY KEY,
+        group_id VARCHAR(255) NOT NULL REFERENCES groups(group_id) ON DELETE CASCADE,
+        username VARCHAR(100) NOT NULL,
+        role VARCHAR(10) NOT NULL DEFAULT 'member',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS member_tokens_group_user_idx ON member_tokens (group_id, username)');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS member_tokens');
+  }
+};
@@ -0,0 +1,14 @@
+// Soft delete: deleted groups are kept for a recovery window before purging
+module.exports = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE groups
+        ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS deleted_by VARCHAR(120)
+    `);
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE groups DROP COLUMN IF EXISTS deleted_at, DROP COLUMN IF EXISTS deleted_by');
+  }
+};
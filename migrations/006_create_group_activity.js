@@ -0,0 +1,26 @@
+// Append-only history of changes to a group, used for undo
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS group_activity (
+        id SERIAL PRIMARY KEY,
+        group_id VARCHAR(255) NOT NULL REFERENCES groups(group_id) ON DELETE CASCADE,
+        revision INTEGER NOT NULL,
+        actor VARCHAR(100) NOT NULL,
+        action VARCHAR(40) NOT NULL,
+        target_user VARCHAR(100),
+        item_id VARCHAR(32),
+        summary TEXT NOT NULL,
+        before_state JSONB,
+        after_state JSONB,
+        undo_of INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS group_activity_group_idx ON group_activity (group_id, id)');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS group_activity');
+  }
+};
@@ -0,0 +1,31 @@
+// Optional reminder emails (kept out of group data) and the one-off
+// reminders each member has already been sent
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS member_emails (
+        group_id VARCHAR(255) NOT NULL REFERENCES groups(group_id) ON DELETE CASCADE,
+        username VARCHAR(100) NOT NULL,
+        email VARCHAR(254) NOT NULL,
+        following JSONB NOT NULL DEFAULT '[]',
+        last_digest_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (group_id, username)
+      )
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS sent_reminders (
+        group_id VARCHAR(255) NOT NULL REFERENCES groups(group_id) ON DELETE CASCADE,
+        username VARCHAR(100) NOT NULL,
+        kind VARCHAR(80) NOT NULL,
+        sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (group_id, username, kind)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS sent_reminders');
+    await db.query('DROP TABLE IF EXISTS member_emails');
+  }
+};
@@ -0,0 +1,16 @@
+// Admin sessions, so logins survive restarts and are shared between instances
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS admin_sessions (
+        token_hash CHAR(64) PRIMARY KEY,
+        created_at TIMESTAMP NOT NULL,
+        expires_at TIMESTAMP NOT NULL
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS admin_sessions');
+  }
+};
@@ -0,0 +1,49 @@
+// Members, wishlist items and claims as tables instead of inside groups.data.
+// Positions keep members and items in the order they were added.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS group_members (
+        group_id VARCHAR(255) NOT NULL REFERENCES groups(group_id) ON DELETE CASCADE,
+        username VARCHAR(100) NOT NULL,
+        position INTEGER NOT NULL,
+        PRIMARY KEY (group_id, username)
+      )
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS group_items (
+        group_id VARCHAR(255) NOT NULL,
+        item_id VARCHAR(32) NOT NULL,
+        username VARCHAR(100) NOT NULL,
+        position INTEGER NOT NULL,
+        description VARCHAR(500) NOT NULL DEFAULT '',
+        priority VARCHAR(10) NOT NULL DEFAULT 'medium',
+        price VARCHAR(20) NOT NULL DEFAULT '',
+        amount NUMERIC(12, 2),
+        notes VARCHAR(1000) NOT NULL DEFAULT '',
+        details VARCHAR(1000) NOT NULL DEFAULT '',
+        purchased BOOLEAN NOT NULL DEFAULT FALSE,
+        PRIMARY KEY (group_id, item_id),
+        FOREIGN KEY (group_id, username) REFERENCES group_members(group_id, username) ON DELETE CASCADE
+      )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS group_items_member_idx ON group_items (group_id, username)');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS item_claims (
+        group_id VARCHAR(255) NOT NULL,
+        item_id VARCHAR(32) NOT NULL,
+        username VARCHAR(100) NOT NULL,
+        position INTEGER NOT NULL,
+        split BOOLEAN NOT NULL DEFAULT FALSE,
+        PRIMARY KEY (group_id, item_id, username),
+        FOREIGN KEY (group_id, item_id) REFERENCES group_items(group_id, item_id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS item_claims');
+    await db.query('DROP TABLE IF EXISTS group_items');
+    await db.query('DROP TABLE IF EXISTS group_members');
+  }
+};
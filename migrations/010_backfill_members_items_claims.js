@@ -0,0 +1,108 @@
+// Move every group's users (and their items and claims) out of groups.data
+// into group_members, group_items and item_claims. down() puts them back.
+const crypto = require('crypto');
+
+module.exports = {
+  async up(db) {
+    const groups = await db.query('SELECT group_id, data FROM groups');
+
+    for (const { group_id: groupId, data } of groups.rows) {
+      if (!('users' in data)) continue;
+
+      const itemIds = new Set();
+      const users = data.users && typeof data.users === 'object' ? data.users : {};
+
+      for (const [position, [username, user]] of Object.entries(users).entries()) {
+        await db.query(
+          'INSERT INTO group_members (group_id, username, position) VALUES ($1, $2, $3)',
+          [groupId, username, position]
+        );
+
+        const items = user && Array.isArray(user.items) ? user.items : [];
+        for (const [itemPosition, item] of items.entries()) {
+          // Older documents can have missing or repeated item IDs
+          let itemId = typeof item.id === 'string' && /^[a-zA-Z0-9_-]{1,32}$/.test(item.id) ? item.id : '';
+          while (!itemId || itemIds.has(itemId)) {
+            itemId = crypto.randomBytes(6).toString('hex');
+          }
+          itemIds.add(itemId);
+
+          await db.query(
+            `INSERT INTO group_items
+               (group_id, item_id, username, position, description, priority, price, amount, notes, details, purchased)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+            [
+              groupId,
+              itemId,
+              username,
+              itemPosition,
+              String(item.description || '').substring(0, 500),
+              ['high', 'medium', 'low'].includes(item.priority) ? item.priority : 'medium',
+              String(item.price || '').substring(0, 20),
+              typeof item.amount === 'number' && Number.isFinite(item.amount) ? item.amount : null,
+              String(item.notes || '').substring(0, 1000),
+              String(item.details || '').substring(0, 1000),
+              Boolean(item.purchased)
+            ]
+          );
+
+          const claimedBy = [...new Set(Array.isArray(item.claimedBy) ? item.claimedBy : [])];
+          const splitWith = Array.isArray(item.splitWith) ? item.splitWith : [];
+          for (const [claimPosition, claimer] of claimedBy.entries()) {
+            await db.query(
+              'INSERT INTO item_claims (group_id, item_id, username, position, split) VALUES ($1, $2, $3, $4, $5)',
+              [groupId, itemId, String(claimer).substring(0, 100), claimPosition, splitWith.includes(claimer)]
+            );
+          }
+        }
+      }
+
+      const settings = { ...data };
+      delete settings.users;
+      await db.query('UPDATE groups SET data = $1 WHERE group_id = $2', [JSON.stringify(settings), groupId]);
+    }
+  },
+
+  async down(db) {
+    const groups = await db.query('SELECT group_id, data FROM groups');
+
+    for (const { group_id: groupId, data } of groups.rows) {
+      const members = await db.query(
+        'SELECT username FROM group_members WHERE group_id = $1 ORDER BY position',
+        [groupId]
+      );
+      const items = await db.query(
+        'SELECT * FROM group_items WHERE group_id = $1 ORDER BY position',
+        [groupId]
+      );
+      const claims = await db.query(
+        'SELECT item_id, username, split FROM item_claims WHERE group_id = $1 ORDER BY position',
+        [groupId]
+      );
+
+      const users = {};
+      for (const { username } of members.rows) {
+        users[username] = { items: [] };
+      }
+      for (const row of items.rows) {
+        const itemClaims = claims.rows.filter(claim => claim.item_id === row.item_id);
+        users[row.username].items.push({
+          id: row.item_id,
+          description: row.description,
+          priority: row.priority,
+          price: row.price,
+          amount: row.amount === null ? null : Number(row.amount),
+          notes: row.notes,
+          details: row.details,
+          claimedBy: itemClaims.map(claim => claim.username),
+          purchased: row.purchased,
+          splitWith: itemClaims.filter(claim => claim.split).map(claim => claim.username)
+        });
+      }
+
+      await db.query('UPDATE groups SET data = $1 WHERE group_id = $2', [JSON.stringify({ ...data, users }), groupId]);
+    }
+
+    await db.query('DELETE FROM group_members');
+  }
+};
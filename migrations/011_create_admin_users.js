@@ -0,0 +1,30 @@
+// Admin accounts with hashed passwords, roles and optional TOTP, replacing the
+// shared ADMIN_PASSWORD. Every admin session now belongs to an account, so
+// sessions from the shared password are signed out.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS admin_users (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(100) NOT NULL UNIQUE,
+        password_hash VARCHAR(255) NOT NULL,
+        role VARCHAR(20) NOT NULL DEFAULT 'support',
+        totp_secret VARCHAR(64),
+        totp_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+        totp_last_step BIGINT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_login_at TIMESTAMP
+      )
+    `);
+    await db.query('DELETE FROM admin_sessions');
+    await db.query(
+      'ALTER TABLE admin_sessions ADD COLUMN admin_user_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE'
+    );
+  },
+
+  async down(db) {
+    await db.query('DELETE FROM admin_sessions');
+    await db.query('ALTER TABLE admin_sessions DROP COLUMN admin_user_id');
+    await db.query('DROP TABLE IF EXISTS admin_users');
+  }
+};
@@ -0,0 +1,23 @@
+// Admin actions (logins, group views, deletions, cleanups...) kept in the
+// database, so the record outlives the hosting provider's log retention
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id SERIAL PRIMARY KEY,
+        admin_user_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+        admin_username VARCHAR(100),
+        action VARCHAR(40) NOT NULL,
+        target VARCHAR(255),
+        details JSONB,
+        ip VARCHAR(45),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS admin_audit_log_created_idx ON admin_audit_log (created_at)');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS admin_audit_log');
+  }
+};
@@ -0,0 +1,20 @@
+// Read-only snapshots of a group's earlier events, taken when the creator
+// rolls the group over to the next one
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS group_past_events (
+        id SERIAL PRIMARY KEY,
+        group_id VARCHAR(255) NOT NULL REFERENCES groups(group_id) ON DELETE CASCADE,
+        event_date VARCHAR(30),
+        data JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS group_past_events_group_idx ON group_past_events (group_id, id)');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS group_past_events');
+  }
+};
@@ -0,0 +1,15 @@
+// Managed members: wishlists kept by another member of the group (children,
+// pets, relatives who won't join), and whether that member receives the gifts too
+module.exports = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE group_members
+        ADD COLUMN IF NOT EXISTS managed_by VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS manager_is_recipient BOOLEAN NOT NULL DEFAULT FALSE
+    `);
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE group_members DROP COLUMN IF EXISTS managed_by, DROP COLUMN IF EXISTS manager_is_recipient');
+  }
+};
@@ -0,0 +1,10 @@
+// Optional group passcode (scrypt hash) that non-members must send to view or join
+module.exports = {
+  async up(db) {
+    await db.query('ALTER TABLE groups ADD COLUMN IF NOT EXISTS passcode_hash VARCHAR(255)');
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE groups DROP COLUMN IF EXISTS passcode_hash');
+  }
+};
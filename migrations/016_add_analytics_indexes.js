@@ -0,0 +1,12 @@
+// Indexes for the admin analytics, which count groups and activity by date
+module.exports = {
+  async up(db) {
+    await db.query('CREATE INDEX IF NOT EXISTS groups_created_at_idx ON groups (created_at)');
+    await db.query('CREATE INDEX IF NOT EXISTS group_activity_created_at_idx ON group_activity (created_at)');
+  },
+
+  async down(db) {
+    await db.query('DROP INDEX IF EXISTS group_activity_created_at_idx');
+    await db.query('DROP INDEX IF EXISTS groups_created_at_idx');
+  }
+};
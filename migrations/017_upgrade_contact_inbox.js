@@ -0,0 +1,44 @@
+// Contact inbox: fixed statuses, spam scores, and the replies sent from the dashboard
+module.exports = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE contact_submissions
+        ADD COLUMN IF NOT EXISTS spam_score INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS spam_reasons JSONB
+    `);
+    // Statuses used to be free text; anything unknown has at least been seen
+    await db.query(`
+      UPDATE contact_submissions SET status = 'read'
+      WHERE status IS NULL OR status NOT IN ('new', 'read', 'replied', 'spam', 'archived')
+    `);
+    await db.query(`
+      ALTER TABLE contact_submissions
+        ALTER COLUMN status SET NOT NULL,
+        ADD CONSTRAINT contact_submissions_status_check
+          CHECK (status IN ('new', 'read', 'replied', 'spam', 'archived'))
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS contact_submissions_submitted_at_idx ON contact_submissions (submitted_at)');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS contact_replies (
+        id SERIAL PRIMARY KEY,
+        contact_id INTEGER NOT NULL REFERENCES contact_submissions(id) ON DELETE CASCADE,
+        admin_username VARCHAR(100),
+        message TEXT NOT NULL,
+        sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS contact_replies_contact_idx ON contact_replies (contact_id, id)');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS contact_replies');
+    await db.query('DROP INDEX IF EXISTS contact_submissions_submitted_at_idx');
+    await db.query(`
+      ALTER TABLE contact_submissions
+        DROP CONSTRAINT IF EXISTS contact_submissions_status_check,
+        ALTER COLUMN status DROP NOT NULL,
+        DROP COLUMN IF EXISTS spam_reasons,
+        DROP COLUMN IF EXISTS spam_score
+    `);
+  }
+};
@@ -1,9 +1,19 @@
 const express = require('express');
 const path = require('path');
-const { Pool } = require('pg');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const validator = require('validator');
+const crypto = require('crypto');
+const fs = require('fs');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const nodemailer = require('nodemailer');
+const { createStorage } = require('./storage');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const totp = require('./totp');
+const EventTypes = require('./eventTypes');
+const I18n = require('./i18n');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -37,8 +47,102 @@ app.use(helmet({
 // JSON parsing with size limit
 app.use(express.json({ limit: '1mb' }));
 
-// Serve static files
-app.use(express.static(__dirname));
+// Serve the public assets only. The app directory also holds the server code,
+// retention archives and the file email transport's log, which must not be
+// downloadable.
+const PUBLIC_FILES = ['index.html', 'sw.js', 'manifest.webmanifest', 'icon.svg', 'i18n.js', 'eventTypes.js'];
+app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+for (const file of PUBLIC_FILES) {
+  app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
+}
+app.use('/locales', express.static(path.join(__dirname, 'locales')));
+
+// ===== LOGGING & METRICS =====
+
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by method, route and status');
+const httpRequestDuration = metrics.histogram(
+  'http_request_duration_seconds',
+  'HTTP request latency by method and route',
+  [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+);
+const rateLimitRejections = metrics.counter('rate_limit_rejections_total', 'Requests rejected by each rate limiter');
+const groupWrites = metrics.counter('group_writes_total', 'Committed group changes by activity action');
+const claimWrites = metrics.counter('claim_writes_total', 'Committed claim, unclaim, split and purchase changes');
+
+// Give every request an ID (reusing the proxy's X-Request-Id when it sends
+// one) and a logger that includes it. When the response is done, log it and
+// record its metrics under the route pattern, so group IDs stay out of both.
+app.use((req, res, next) => {
+  const incomingId = req.get('X-Request-Id');
+  req.id = incomingId && /^[\w-]{1,64}$/.test(incomingId) ? incomingId : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  const start = process.hrtime.bigint();
+  res.on('close', () => {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpRequestDuration.observe({ method: req.method, route }, seconds);
+    req.log.info('Request completed', {
+      method: req.method,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000)
+    });
+  });
+
+  next();
+});
+
+// Rate limiter handler that counts rejections, then responds like the default
+function countRejections(limiter) {
+  return (req, res, next, options) => {
+    rateLimitRejections.inc({ limiter });
+    req.log.warn('Rate limit exceeded', { limiter });
+    res.status(options.statusCode).send(options.message);
+  };
+}
+
+// ===== END LOGGING & METRICS =====
+
+// ===== LOCALIZATION =====
+
+// Translations for every language but English, from locales/<language>.json
+const catalogs = Object.fromEntries(
+  Object.keys(I18n.LANGUAGES)
+    .filter(language => language !== I18n.DEFAULT_LANGUAGE)
+    .map(language => [language, require(`./locales/${language}.json`)])
+);
+
+function translate(language, text, params) {
+  return I18n.translate(catalogs[language], text, params);
+}
+
+// Member-facing API responses are in the language the app asks for with
+// Accept-Language: `message` and validation `errors` are translated on the way
+// out. The admin API stays in English.
+app.use('/api', (req, res, next) => {
+  req.language = I18n.matchLanguage(req.get('Accept-Language')) || I18n.DEFAULT_LANGUAGE;
+  const catalog = catalogs[req.language];
+  if (catalog) {
+    const json = res.json.bind(res);
+    // Copies the body, since some (like the rate limit responses) are shared
+    res.json = body => {
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return json(body);
+      }
+      const translated = { ...body };
+      if (typeof body.message === 'string') translated.message = I18n.translateMessage(catalog, body.message);
+      if (Array.isArray(body.errors)) translated.errors = body.errors.map(error => I18n.translateMessage(catalog, error));
+      return json(translated);
+    };
+  }
+  next();
+});
+
+// ===== END LOCALIZATION =====
 
 // Rate limiting - General protection
 const generalLimiter = rateLimit({
@@ -47,6 +151,7 @@ const generalLimiter = rateLimit({
   message: { success: false, message: 'Too many requests, please try again later.' },
   standardHeaders: true,
   legacyHeaders: false,
+  handler: countRejections('general')
 });
 
 // Lenient rate limit for GET requests (read operations)
@@ -54,7 +159,8 @@ const readLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
   max: 100, // Allow 100 GET requests per minute (polling every 5s = 12/min)
   message: { success: false, message: 'Too many read requests, please slow down.' },
-  skip: (req) => req.method !== 'GET' // Only apply to GET requests
+  skip: (req) => req.method !== 'GET', // Only apply to GET requests
+  handler: countRejections('read')
 });
 
 // Stricter rate limit for write operations (POST, PUT)
@@ -62,104 +168,151 @@ const writeLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
   max: 30, // 30 write operations per minute
   message: { success: false, message: 'Too many write requests, please slow down.' },
-  skip: (req) => req.method === 'GET' // Skip GET requests
+  skip: (req) => req.method === 'GET', // Skip GET requests
+  handler: countRejections('write')
 });
 
 // Very strict limit for group creation
 const groupCreationLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 10,
-  message: { success: false, message: 'Too many groups created, please try again later.' }
+  message: { success: false, message: 'Too many groups created, please try again later.' },
+  handler: countRejections('group_creation')
 });
 
 // Rate limit for contact form
 const contactLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 3,
-  message: { success: false, message: 'Too many contact submissions, please try again later.' }
+  message: { success: false, message: 'Too many contact submissions, please try again later.' },
+  handler: countRejections('contact')
+});
+
+// Limit wrong group passcodes so they can't be guessed
+const groupPasscodeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 wrong passcodes per 15 minutes
+  requestWasSuccessful: (req, res) => !res.locals.passcodeRejected,
+  skipSuccessfulRequests: true,
+  message: { success: false, message: 'Too many wrong passcodes, please try again later.' },
+  handler: countRejections('group_passcode')
 });
 
-// Admin login rate limiter
+// Admin login rate limiter (also guards the other password and code checks)
 const adminLoginLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 3, // 3 attempts per 15 minutes
-  message: { success: false, message: 'Too many login attempts' }
+  max: 3, // 3 failed attempts per 15 minutes
+  skipSuccessfulRequests: true,
+  // Being asked for a two-factor code after the right password isn't a failure
+  requestWasSuccessful: (req, res) => res.statusCode < 400 || res.locals.totpPrompt === true,
+  message: { success: false, message: 'Too many login attempts' },
+  handler: countRejections('admin_login')
 });
 
 // Apply general rate limiting to all requests
 app.use(generalLimiter);
 
-// PostgreSQL connection pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.DATABASE_URL ? { rejectUnauthorized: false } : false
-});
-
-// Database initialization
-pool.query(`
-  CREATE TABLE IF NOT EXISTS groups (
-    group_id VARCHAR(255) PRIMARY KEY,
-    data JSONB NOT NULL,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-  )
-`).then(() => {
-  console.log('✅ Database initialized successfully');
-
-  // Create contact_submissions table
-  return pool.query(`
-    CREATE TABLE IF NOT EXISTS contact_submissions (
-      id SERIAL PRIMARY KEY,
-      name VARCHAR(100),
-      email VARCHAR(100),
-      message TEXT,
-      submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      status VARCHAR(20) DEFAULT 'new',
-      admin_notes TEXT
-    )
-  `);
-}).then(() => {
-  console.log('✅ Contact submissions table initialized');
-
-  // Add created_at column to groups table if it doesn't exist (migration for existing databases)
-  return pool.query(`
-    DO $$
-    BEGIN
-      IF NOT EXISTS (
-        SELECT 1 FROM information_schema.columns
-        WHERE table_name = 'groups' AND column_name = 'created_at'
-      ) THEN
-        ALTER TABLE groups ADD COLUMN created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
-        -- Set created_at to updated_at for existing rows
-        UPDATE groups SET created_at = updated_at WHERE created_at IS NULL;
-      END IF;
-    END $$;
-  `);
-}).then(() => {
-  console.log('✅ Database migration completed (added created_at column if needed)');
-}).catch(err => {
-  console.error('❌ Database initialization error:', err);
-});
-
-// Admin session storage (in-memory for simplicity)
-const adminSessions = new Map(); // sessionToken -> { createdAt, expiresAt }
-
-// Middleware to check admin authentication
-function requireAdmin(req, res, next) {
+// Groups, contact submissions and admin sessions (see storage/)
+const storage = createStorage();
+
+metrics.gauge('db_pool_connections', 'Database pool connections by state', () => {
+  const stats = storage.poolStats();
+  return stats ? Object.entries(stats).map(([state, value]) => ({ labels: { state }, value })) : [];
+});
+
+// Deleted groups can be restored from the admin dashboard for this many days
+const DELETED_GROUP_RECOVERY_DAYS = 30;
+
+const SUPPORTED_CURRENCIES = I18n.CURRENCIES;
+const MAX_AMOUNT = 1000000;
+
+// Admin roles, least access first. support can use observer mode and the
+// contact inbox, admin can also change groups and run maintenance, and owner
+// can also manage admin accounts.
+const ADMIN_ROLES = ['support', 'admin', 'owner'];
+const ADMIN_SESSION_MS = 2 * 60 * 60 * 1000; // 2 hours
+const MIN_ADMIN_PASSWORD_LENGTH = 12;
+
+// Helper function to get the valid admin session for a request, if any.
+// Sessions are stored by the hash of their token, like member tokens.
+async function getAdminSession(req) {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ success: false, message: 'Unauthorized' });
+    return null;
   }
 
-  const token = authHeader.substring(7);
-  const session = adminSessions.get(token);
+  const tokenHash = hashToken(authHeader.substring(7));
+  const session = await storage.getAdminSession(tokenHash);
 
   if (!session || Date.now() > session.expiresAt) {
-    adminSessions.delete(token);
-    return res.status(401).json({ success: false, message: 'Session expired' });
+    if (session) {
+      await storage.deleteAdminSession(tokenHash);
+    }
+    return null;
   }
 
-  next();
+  return { ...session, tokenHash };
+}
+
+function hasAdminRole(session, minimumRole) {
+  return ADMIN_ROLES.indexOf(session.role) >= ADMIN_ROLES.indexOf(minimumRole);
+}
+
+// Middleware to check admin authentication and that the admin's role is at
+// least minimumRole. The session is available as req.admin.
+function requireAdmin(minimumRole) {
+  return async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ success: false, message: 'Unauthorized' });
+    }
+
+    let session;
+    try {
+      session = await getAdminSession(req);
+    } catch (error) {
+      req.log.error('Error checking admin session', { error });
+      return res.status(500).json({ success: false, message: 'Error checking session' });
+    }
+
+    if (!session) {
+      return res.status(401).json({ success: false, message: 'Session expired' });
+    }
+    if (!hasAdminRole(session, minimumRole)) {
+      return res.status(403).json({ success: false, message: 'Your admin role does not allow this' });
+    }
+
+    req.admin = session;
+    next();
+  };
+}
+
+// Admin actions recorded in the audit log
+const ADMIN_AUDIT_ACTIONS = [
+  'login', 'login_failed', 'logout',
+  'group_viewed', 'group_exported', 'group_history_viewed',
+  'group_deleted', 'group_purged', 'group_restored', 'member_link_issued',
+  'cleanup', 'reminders_sent', 'contact_updated', 'contact_replied',
+  'password_changed', 'totp_enabled', 'totp_disabled',
+  'admin_created', 'admin_updated', 'admin_removed',
+  'audit_exported'
+];
+
+// Record an admin action with who did it (req.admin unless `admin` is given)
+// and their IP. A failure to record is logged but doesn't fail the action.
+async function auditAdminAction(req, action, { target = null, details = null, admin = req.admin } = {}) {
+  try {
+    await storage.addAdminAuditEntry({
+      adminUserId: admin ? admin.adminUserId : null,
+      adminUsername: admin ? String(admin.username || '').substring(0, 100) : null,
+      action,
+      target,
+      details,
+      ip: req.ip
+    });
+  } catch (error) {
+    req.log.error('Error recording admin action', { error, action });
+  }
 }
 
 // Helper function to sanitize strings
@@ -178,6 +331,22 @@ function sanitizeString(str, maxLength = 500) {
   return sanitized;
 }
 
+// Names that would collide with Object.prototype (__proto__, constructor,
+// toString, ...) can't be members; users is a plain object keyed by name
+const RESERVED_USERNAMES = [...Object.getOwnPropertyNames(Object.prototype), 'prototype'];
+
+function isReservedUsername(username) {
+  return RESERVED_USERNAMES.includes(username);
+}
+
+// Helper function to look up a member by name. Only the group's own users
+// count, never inherited properties.
+function getUser(data, username) {
+  return data.users && typeof username === 'string' && Object.hasOwn(data.users, username)
+    ? data.users[username]
+    : undefined;
+}
+
 // Helper function to validate and sanitize group data
 function validateGroupData(data) {
   const errors = [];
@@ -190,10 +359,13 @@ function validateGroupData(data) {
   }
   
   // Validate holiday type
-  const validHolidays = ['Christmas', 'Birthday', 'Hanukkah', 'Anniversary', 'Other'];
-  if (data.holiday && !validHolidays.includes(data.holiday)) {
+  if (data.holiday && !EventTypes.EVENT_TYPE_IDS.includes(data.holiday)) {
     errors.push('Invalid holiday type');
   }
+
+  if (data.language !== undefined && !I18n.isSupportedLanguage(data.language)) {
+    errors.push('Unsupported language');
+  }
   
   // Validate event date
   if (data.eventDate && !validator.isISO8601(data.eventDate)) {
@@ -214,8 +386,26 @@ function validateGroupData(data) {
       if (username.length > 100) {
         errors.push(`Username too long: ${username}`);
       }
+      if (isReservedUsername(username)) {
+        errors.push(`Reserved name: ${username}`);
+        continue;
+      }
       
       const user = data.users[username];
+
+      // A managed member's manager must be another member who isn't managed
+      if (user.managedBy !== undefined && user.managedBy !== null) {
+        const manager = getUser(data, user.managedBy);
+        if (!manager || user.managedBy === username) {
+          errors.push(`Manager of ${username} must be another member of the group`);
+        } else if (manager.managedBy) {
+          errors.push(`Manager of ${username} can't be a managed member`);
+        }
+      }
+      if (user.managerIsRecipient !== undefined && typeof user.managerIsRecipient !== 'boolean') {
+        errors.push(`managerIsRecipient must be true or false for user: ${username}`);
+      }
+
       if (!user.items || !Array.isArray(user.items)) {
         errors.push(`Invalid items for user: ${username}`);
       } else if (user.items.length > 100) {
@@ -241,252 +431,2792 @@ function validateGroupData(data) {
           if (item.claimedBy && !Array.isArray(item.claimedBy)) {
             errors.push(`claimedBy must be an array for user: ${username}`);
           }
+          
+          if (!isValidAmount(item.amount)) {
+            errors.push(`Item price must be a number between 0 and ${MAX_AMOUNT} for user: ${username}`);
+          }
         }
       }
     }
   }
   
+  // Validate budget settings
+  if (data.budget !== undefined) {
+    if (!data.budget || typeof data.budget !== 'object' || Array.isArray(data.budget)) {
+      errors.push('Budget settings must be an object');
+    } else {
+      if (!isValidAmount(data.budget.limit)) {
+        errors.push(`Spending limit must be a number between 0 and ${MAX_AMOUNT}`);
+      }
+      if (data.budget.currency !== undefined && !SUPPORTED_CURRENCIES.includes(data.budget.currency)) {
+        errors.push('Unsupported currency');
+      }
+    }
+  }
+  
+  // Validate Secret Santa settings
+  if (data.secretSanta !== undefined) {
+    if (!data.secretSanta || typeof data.secretSanta !== 'object' || Array.isArray(data.secretSanta)) {
+      errors.push('Secret Santa settings must be an object');
+    } else if (data.secretSanta.exclusions && !Array.isArray(data.secretSanta.exclusions)) {
+      errors.push('Secret Santa exclusions must be an array');
+    } else if (data.secretSanta.exclusions && data.secretSanta.exclusions.length > 100) {
+      errors.push('Too many Secret Santa exclusions (max 100)');
+    }
+  }
+  
   return errors;
 }
 
+// Helper function to check an optional amount of money (empty means "not set")
+function isValidAmount(amount) {
+  if (amount === undefined || amount === null || amount === '') {
+    return true;
+  }
+  return typeof amount === 'number' && Number.isFinite(amount) && amount >= 0 && amount <= MAX_AMOUNT;
+}
+
+// Helper function to sanitize an optional amount of money to cents, or null
+function sanitizeAmount(amount) {
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0) {
+    return null;
+  }
+  return Math.round(Math.min(amount, MAX_AMOUNT) * 100) / 100;
+}
+
+// Helper function to sanitize a group's budget settings
+function sanitizeBudget(budget) {
+  const settings = budget && typeof budget === 'object' ? budget : {};
+  return {
+    limit: sanitizeAmount(settings.limit),
+    currency: SUPPORTED_CURRENCIES.includes(settings.currency) ? settings.currency : I18n.DEFAULT_CURRENCY
+  };
+}
+
+// Helper function to generate a stable item ID
+function generateItemId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+// Helper function to sanitize a single wishlist item
+function sanitizeItem(item) {
+  // Each name claims at most once; split partners are always among the claimers
+  const claimedBy = Array.isArray(item.claimedBy)
+    ? [...new Set(item.claimedBy.slice(0, 10).map(name => sanitizeString(name, 100)))]
+    : [];
+  const splitWith = Array.isArray(item.splitWith)
+    ? item.splitWith.slice(0, 10).map(name => sanitizeString(name, 100))
+    : [];
+
+  return {
+    id: typeof item.id === 'string' && /^[a-zA-Z0-9_-]{1,32}$/.test(item.id)
+      ? item.id
+      : generateItemId(),
+    description: sanitizeString(item.description || item.item || item.name || '', 500),
+    priority: item.priority && ['high', 'medium', 'low'].includes(item.priority) 
+      ? item.priority 
+      : 'medium',
+    price: item.price ? sanitizeString(String(item.price), 20) : '',
+    amount: sanitizeAmount(item.amount),
+    notes: item.notes ? sanitizeString(item.notes, 1000) : '',
+    details: item.details ? sanitizeString(item.details, 1000) : '',
+    claimedBy,
+    purchased: Boolean(item.purchased),
+    splitWith: claimedBy.filter(name => splitWith.includes(name))
+  };
+}
+
+// Helper function to sanitize Secret Santa assignments (giver -> recipient)
+function sanitizeAssignments(assignments) {
+  const sanitized = {};
+  if (!assignments || typeof assignments !== 'object') {
+    return sanitized;
+  }
+
+  for (const [giver, recipient] of Object.entries(assignments).slice(0, 50)) {
+    if (typeof recipient === 'string') {
+      sanitized[sanitizeString(giver, 100)] = sanitizeString(recipient, 100);
+    }
+  }
+  return sanitized;
+}
+
+// Helper function to sanitize Secret Santa settings and draw results
+function sanitizeSecretSanta(secretSanta, usernames) {
+  const settings = secretSanta && typeof secretSanta === 'object' ? secretSanta : {};
+  const isMember = name => typeof name === 'string' && usernames.includes(name);
+
+  return {
+    enabled: Boolean(settings.enabled),
+    // Pairs of members who can't draw each other (e.g. spouses)
+    exclusions: Array.isArray(settings.exclusions)
+      ? settings.exclusions.slice(0, 100).filter(pair =>
+          Array.isArray(pair) && pair.length === 2 && isMember(pair[0]) && isMember(pair[1]) && pair[0] !== pair[1]
+        ).map(pair => [pair[0], pair[1]])
+      : [],
+    // Don't give anyone the same person as in the previous draw
+    avoidPrevious: settings.avoidPrevious !== false,
+    assignments: sanitizeAssignments(settings.assignments),
+    previousAssignments: sanitizeAssignments(settings.previousAssignments),
+    drawnAt: typeof settings.drawnAt === 'string' && validator.isISO8601(settings.drawnAt) ? settings.drawnAt : ''
+  };
+}
+
 // Helper function to sanitize group data
 function sanitizeGroupData(data) {
   const sanitized = {
     groupName: sanitizeString(data.groupName, 100),
-    holiday: data.holiday && ['Christmas', 'Birthday', 'Hanukkah', 'Anniversary', 'Other'].includes(data.holiday) 
-      ? data.holiday 
-      : 'Christmas',
+    holiday: EventTypes.EVENT_TYPE_IDS.includes(data.holiday) ? data.holiday : EventTypes.DEFAULT_EVENT_TYPE,
+    // Used for emails, and by the app for members who haven't picked a language
+    language: I18n.isSupportedLanguage(data.language) ? data.language : I18n.DEFAULT_LANGUAGE,
     eventDate: data.eventDate || '',
     createdBy: data.createdBy ? sanitizeString(data.createdBy, 100) : '',
     users: {}
   };
   
-  // Sanitize users
+  // Sanitize users. Item IDs are unique within the group; a repeated ID
+  // gets a fresh one.
+  const managers = {}; // managed member -> { managedBy, managerIsRecipient }
   if (data.users && typeof data.users === 'object') {
     const usernames = Object.keys(data.users).slice(0, 50);
+    const itemIds = new Set();
     
     for (const username of usernames) {
       const cleanUsername = sanitizeString(username, 100);
       const user = data.users[username];
+      if (!cleanUsername || isReservedUsername(cleanUsername)) continue;
       
       sanitized.users[cleanUsername] = {
         items: Array.isArray(user.items) 
-          ? user.items.slice(0, 100).map(item => ({
-              description: sanitizeString(item.description || item.item || item.name || '', 500),
-              priority: item.priority && ['high', 'medium', 'low'].includes(item.priority) 
-                ? item.priority 
-                : 'medium',
-              price: item.price ? sanitizeString(String(item.price), 20) : '',
-              notes: item.notes ? sanitizeString(item.notes, 1000) : '',
-              details: item.details ? sanitizeString(item.details, 1000) : '',
-              claimedBy: Array.isArray(item.claimedBy) 
-                ? item.claimedBy.slice(0, 10).map(name => sanitizeString(name, 100))
-                : [],
-              purchased: Boolean(item.purchased),
-              splitWith: Array.isArray(item.splitWith)
-                ? item.splitWith.slice(0, 10).map(name => sanitizeString(name, 100))
-                : []
-            }))
+          ? user.items.slice(0, 100).map(sanitizeItem)
           : []
       };
+
+      if (typeof user.managedBy === 'string' && user.managedBy) {
+        managers[cleanUsername] = {
+          managedBy: sanitizeString(user.managedBy, 100),
+          managerIsRecipient: Boolean(user.managerIsRecipient)
+        };
+      }
+
+      for (const item of sanitized.users[cleanUsername].items) {
+        while (itemIds.has(item.id)) {
+          item.id = generateItemId();
+        }
+        itemIds.add(item.id);
+      }
     }
   }
   
+  // Managed members keep their manager only while the manager is a member who
+  // isn't managed themselves
+  for (const [username, { managedBy, managerIsRecipient }] of Object.entries(managers)) {
+    if (managedBy !== username && getUser(sanitized, managedBy) && !Object.hasOwn(managers, managedBy)) {
+      sanitized.users[username].managedBy = managedBy;
+      sanitized.users[username].managerIsRecipient = managerIsRecipient;
+    }
+  }
+
+  sanitized.budget = sanitizeBudget(data.budget);
+  sanitized.secretSanta = sanitizeSecretSanta(data.secretSanta, Object.keys(sanitized.users));
+  
   return sanitized;
 }
 
-// Health check endpoint
-app.get('/api/health', async (req, res) => {
-  try {
-    await pool.query('SELECT 1');
-    res.json({ 
-      success: true, 
-      message: 'Server and database healthy',
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      message: 'Database connection error' 
-    });
+// Pass as the viewer to see every claim (admin observer view)
+const FULL_VIEW = Symbol('full view');
+
+// Helper function to check whether the event date is behind us (same rule as
+// the "Who Do I Thank?" button in the app)
+function hasEventPassed(data) {
+  if (!data.eventDate) return false;
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today > new Date(data.eventDate);
+}
+
+// Helper function to strip server-only fields before sending a group to members.
+// Secret Santa assignments are only ever revealed one member at a time. Claim,
+// split and purchase fields are removed from the viewer's own items (and those
+// of managed members they receive gifts with) until the event has passed; a
+// viewer of null (someone who hasn't joined) sees no claims.
+function toPublicGroupData(data, viewer = null) {
+  const secretSanta = sanitizeSecretSanta(data.secretSanta, Object.keys(data.users || {}));
+  const users = {};
+
+  for (const [username, user] of Object.entries(data.users || {})) {
+    const hidden = viewer === null || (receivesGiftsFrom(data, viewer, username) && !hasEventPassed(data));
+    users[username] = viewer === FULL_VIEW || !hidden
+      ? user
+      : {
+        ...user,
+        items: (user.items || []).map(item => ({ ...item, claimedBy: [], splitWith: [], purchased: false }))
+      };
   }
-});
 
-// GET group data
-app.get('/api/groups/:groupId', readLimiter, async (req, res) => {
-  try {
-    const groupId = req.params.groupId;
-    
-    // Validate groupId format
-    if (!groupId || groupId.length > 255 || !/^[a-zA-Z0-9-_]+$/.test(groupId)) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Invalid group ID format' 
-      });
+  return {
+    ...data,
+    users,
+    secretSanta: {
+      enabled: secretSanta.enabled,
+      exclusions: secretSanta.exclusions,
+      avoidPrevious: secretSanta.avoidPrevious,
+      drawnAt: secretSanta.drawnAt,
+      participants: Object.keys(secretSanta.assignments)
     }
-    
-    const result = await pool.query(
-      'SELECT data FROM groups WHERE group_id = $1',
-      [groupId]
-    );
-    
-    if (result.rows.length === 0) {
-      return res.json({ success: true, data: null });
-    }
-    
-    res.json({ success: true, data: result.rows[0].data });
-  } catch (error) {
-    console.error('Error loading group:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Error loading group data' 
-    });
+  };
+}
+
+// Live update subscribers (in-memory, per server instance)
+const groupSubscribers = new Map(); // groupId -> Set of SSE responses
+const MAX_SUBSCRIBERS_PER_GROUP = 100;
+const subscribersPerIp = new Map(); // IP -> number of open SSE responses
+const MAX_SUBSCRIBERS_PER_IP = 20;
+
+// Push an event to everyone watching a group. Only the new revision is sent;
+// clients fetch the group themselves so reads keep going through GET.
+function broadcastGroupEvent(groupId, event, payload) {
+  const subscribers = groupSubscribers.get(groupId);
+  if (!subscribers) return;
+
+  const message = `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+  for (const subscriber of subscribers) {
+    subscriber.write(message);
   }
-});
+}
 
-// POST/UPDATE group data
-app.post('/api/groups/:groupId', writeLimiter, async (req, res) => {
-  try {
-    const groupId = req.params.groupId;
-    const groupData = req.body;
-    
-    // Validate groupId format
-    if (!groupId || groupId.length > 255 || !/^[a-zA-Z0-9-_]+$/.test(groupId)) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Invalid group ID format' 
-      });
-    }
-    
-    // Validate group data
-    const validationErrors = validateGroupData(groupData);
-    if (validationErrors.length > 0) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Validation failed', 
-        errors: validationErrors 
-      });
-    }
-    
-    // Sanitize group data
-    const sanitizedData = sanitizeGroupData(groupData);
-    
-    // Check if group exists
-    const existingGroup = await pool.query(
-      'SELECT group_id FROM groups WHERE group_id = $1',
-      [groupId]
-    );
-    
-    if (existingGroup.rows.length === 0) {
-      // Apply stricter rate limit for new groups
-      groupCreationLimiter(req, res, async () => {
-        try {
-          await pool.query(
-            'INSERT INTO groups (group_id, data, updated_at) VALUES ($1, $2, CURRENT_TIMESTAMP)',
-            [groupId, JSON.stringify(sanitizedData)]
-          );
-          res.json({ success: true, message: 'Group created successfully' });
-        } catch (error) {
-          console.error('Error creating group:', error);
-          res.status(500).json({ 
-            success: false, 
-            message: 'Error creating group' 
-          });
-        }
-      });
-    } else {
-      // Update existing group
-      await pool.query(
-        'UPDATE groups SET data = $1, updated_at = CURRENT_TIMESTAMP WHERE group_id = $2',
-        [JSON.stringify(sanitizedData), groupId]
-      );
-      res.json({ success: true, message: 'Group updated successfully' });
-    }
-  } catch (error) {
-    console.error('Error saving group:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Error saving group data' 
-    });
+// Helper function to validate group ID format (older groups have short
+// client-made IDs, so any URL-safe ID is still accepted)
+function isValidGroupId(groupId) {
+  return Boolean(groupId) && groupId.length <= 255 && /^[a-zA-Z0-9-_]+$/.test(groupId);
+}
+
+// New group IDs: 128 random bits, URL-safe, so links can't be guessed or squatted
+function generateGroupId() {
+  return crypto.randomBytes(16).toString('base64url');
+}
+
+// Helper function to build an error that carries the HTTP status to respond with
+function groupError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Helper function to check whether any item is still missing a stable ID
+function hasItemsWithoutIds(data) {
+  return Object.values(data.users || {}).some(user =>
+    Array.isArray(user.items) && user.items.some(item => !item.id)
+  );
+}
+
+// Helper function to find an item on a user's wishlist by ID
+function findItem(data, username, itemId) {
+  const user = getUser(data, username);
+  if (!user) {
+    throw groupError(404, 'User not found');
   }
-});
 
-// DELETE group
-app.delete('/api/groups/:groupId', writeLimiter, async (req, res) => {
-  try {
-    const groupId = req.params.groupId;
-    
-    // Validate groupId format
-    if (!groupId || groupId.length > 255 || !/^[a-zA-Z0-9-_]+$/.test(groupId)) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Invalid group ID format' 
-      });
-    }
-    
-    await pool.query('DELETE FROM groups WHERE group_id = $1', [groupId]);
-    res.json({ success: true, message: 'Group deleted successfully' });
-  } catch (error) {
-    console.error('Error deleting group:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Error deleting group' 
-    });
+  const item = user.items.find(candidate => candidate.id === itemId);
+  if (!item) {
+    throw groupError(404, 'Item not found');
   }
-});
 
-// Contact form endpoint - Saves to database
-app.post('/api/contact', contactLimiter, async (req, res) => {
-  try {
-    const { name, email, message } = req.body;
+  return item;
+}
 
-    // Validate inputs
-    if (!name || !email || !message) {
-      return res.status(400).json({
-        success: false,
-        message: 'All fields are required'
-      });
-    }
+// Apply a change to a single group atomically. The row is locked for the
+// duration of the transaction, so concurrent changes from different members
+// are applied one after the other instead of overwriting each other. Every
+// change bumps the group's revision; resolves to { data, revision }, with the
+// data as `member` is allowed to see it.
+// applyChange may be async and receives the transaction (`tx`, with the same
+// methods as storage) for any related writes that must commit together with
+// the group.
+async function updateGroup(groupId, applyChange, member = null) {
+  const viewer = member ? member.username : null;
+  let sanitizedData;
+  let actions;
 
-    if (!validator.isEmail(email)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid email address'
-      });
+  const revision = await storage.updateGroup(groupId, async (data, currentRevision, tx) => {
+    // Note the logged actions, to count the writes once they commit
+    actions = [];
+    const countingTx = {
+      ...tx,
+      addActivity: (activityGroupId, activityRevision, entry) => {
+        actions.push(entry.action);
+        return tx.addActivity(activityGroupId, activityRevision, entry);
+      }
+    };
+
+    try {
+      await applyChange(data, currentRevision, countingTx);
+    } catch (error) {
+      // Conflicts return the latest data so the client can re-render
+      if (error.status === 409) {
+        error.data = toPublicGroupData(sanitizeGroupData(data), viewer);
+        error.revision = currentRevision;
+      }
+      throw error;
     }
 
-    if (name.length > 100 || message.length > 2000) {
-      return res.status(400).json({
-        success: false,
-        message: 'Input too long'
-      });
+    const validationErrors = validateGroupData(data);
+    if (validationErrors.length > 0) {
+      const error = groupError(400, 'Validation failed');
+      error.errors = validationErrors;
+      throw error;
     }
 
-    // Sanitize inputs
-    const sanitizedName = sanitizeString(name, 100);
-    const sanitizedEmail = validator.normalizeEmail(email);
-    const sanitizedMessage = sanitizeString(message, 2000);
+    sanitizedData = sanitizeGroupData(data);
+    return sanitizedData;
+  });
 
-    // Store in database
-    await pool.query(
-      'INSERT INTO contact_submissions (name, email, message) VALUES ($1, $2, $3)',
-      [sanitizedName, sanitizedEmail, sanitizedMessage]
-    );
+  if (revision === null) {
+    throw groupError(404, 'Group not found');
+  }
 
-    // Also log to console for immediate visibility
-    console.log('\n📧 ===== CONTACT FORM SUBMISSION =====');
-    console.log('From:', sanitizedName);
-    console.log('Email:', sanitizedEmail);
-    console.log('Message:', sanitizedMessage);
-    console.log('Time:', new Date().toISOString());
-    console.log('=====================================\n');
+  broadcastGroupEvent(groupId, 'change', { revision });
 
-    res.json({
-      success: true,
+  (actions.length > 0 ? actions : ['other']).forEach(action => {
+    groupWrites.inc({ action });
+    if (CLAIM_ACTIONS.includes(action)) {
+      claimWrites.inc({ action });
+    }
+  });
+
+  return { data: toPublicGroupData(sanitizedData, viewer), revision };
+}
+
+// Helper function to respond to a failed group update
+function sendGroupError(res, error, message) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      errors: error.errors,
+      data: error.data,
+      revision: error.revision,
+      passcodeRequired: error.passcodeRequired
+    });
+  }
+
+  res.req.log.error(message, { error });
+  res.status(500).json({ success: false, message });
+}
+
+// Mark a group as deleted. It disappears for members right away and can be
+// restored from the admin dashboard until it is purged.
+async function softDeleteGroup(groupId, deletedBy) {
+  const deleted = await storage.softDeleteGroup(groupId, deletedBy);
+
+  if (deleted) {
+    broadcastGroupEvent(groupId, 'deleted', {});
+  }
+
+  return deleted;
+}
+
+// Helper function to hash a member token for storage
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+const scrypt = promisify(crypto.scrypt);
+
+// Admin passwords are stored as "scrypt$<salt>$<hash>" (base64)
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = String(storedHash).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash || typeof password !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Checked against when a login names an unknown account, so response times
+// don't reveal which accounts exist
+const unknownAdminPasswordHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function normalizeAdminUsername(username) {
+  return typeof username === 'string' ? username.trim().toLowerCase() : '';
+}
+
+// Returns an error message, or null when the password is acceptable
+function validateAdminPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_ADMIN_PASSWORD_LENGTH) {
+    return `Passwords need at least ${MIN_ADMIN_PASSWORD_LENGTH} characters`;
+  }
+  if (password.length > 200) {
+    return 'Password is too long';
+  }
+  return null;
+}
+
+// Create a new secret token for a member and store its hash. Pass the
+// transaction when the token must commit together with a group change.
+async function issueMemberToken(db, groupId, username, role) {
+  const token = crypto.randomBytes(24).toString('hex');
+  await db.addMemberToken(hashToken(token), groupId, username, role);
+  return token;
+}
+
+// Resolve the member and creator tokens sent with a request.
+// Returns { username, isCreator } or null when no valid token was sent.
+async function getMember(groupId, req, queryToken = null) {
+  const tokens = [req.get('X-Member-Token'), req.get('X-Creator-Token'), queryToken]
+    .filter(token => typeof token === 'string' && /^[a-f0-9]{48}$/.test(token));
+
+  if (tokens.length === 0) {
+    return null;
+  }
+
+  const rows = await storage.findMemberTokens(groupId, tokens.map(hashToken));
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return {
+    username: rows[0].username,
+    isCreator: rows.some(row => row.role === 'creator')
+  };
+}
+
+// Helper function to look up the member performing a group change
+function getActingUser(data, member) {
+  if (!member || !getUser(data, member.username)) {
+    throw groupError(403, 'Please join the group (or open your recovery link) first');
+  }
+  return member.username;
+}
+
+// Helper function to check whether a member may change a wishlist: their
+// own, or one they manage
+function canManageWishlist(data, actingUser, username) {
+  const user = getUser(data, username);
+  return actingUser === username || Boolean(user && user.managedBy && user.managedBy === actingUser);
+}
+
+// Helper function to check whether a wishlist counts as the viewer's own for
+// the surprise rules: theirs, or a managed member's they receive gifts with
+function receivesGiftsFrom(data, viewer, username) {
+  const user = getUser(data, username);
+  return viewer === username || Boolean(user && user.managedBy === viewer && user.managerIsRecipient);
+}
+
+// Helper function to check the caller holds the group's creator token
+function requireCreator(data, member, message) {
+  if (!member || !member.isCreator || member.username !== data.createdBy) {
+    throw groupError(403, message);
+  }
+}
+
+// Group passcodes are 4-100 characters; an empty passcode means none
+const MIN_PASSCODE_LENGTH = 4;
+const MAX_PASSCODE_LENGTH = 100;
+
+function validatePasscode(passcode) {
+  if (passcode === undefined || passcode === null || passcode === '') {
+    return null;
+  }
+  if (typeof passcode !== 'string' || passcode.length < MIN_PASSCODE_LENGTH || passcode.length > MAX_PASSCODE_LENGTH) {
+    return `Passcode must be ${MIN_PASSCODE_LENGTH}-${MAX_PASSCODE_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Helper function to check the passcode of a group that has one. Members
+// (anyone with a valid token) are already in; everyone else has to send it
+// in X-Group-Passcode before they can see the group or join it.
+async function checkGroupPasscode(group, member, req, res) {
+  if (!group.passcode_hash || member) {
+    return;
+  }
+
+  const passcode = req.get('X-Group-Passcode');
+  if (passcode && await verifyPassword(passcode, group.passcode_hash)) {
+    return;
+  }
+
+  // Only wrong passcodes count towards the passcode rate limit
+  if (passcode) {
+    res.locals.passcodeRejected = true;
+  }
+  const error = groupError(401, passcode ? 'Wrong passcode' : 'This group needs a passcode');
+  error.passcodeRequired = true;
+  throw error;
+}
+
+// Helper function to pick the editable fields of an item from a request body
+function getItemFields(body) {
+  const item = body && typeof body.item === 'object' && body.item !== null ? body.item : {};
+  return {
+    description: item.description,
+    priority: item.priority,
+    price: item.price,
+    amount: item.amount,
+    details: item.details
+  };
+}
+
+// The ID a client chose for an item it's adding, if it's a valid one
+function getClientItemId(body) {
+  const id = body && body.item && typeof body.item === 'object' ? body.item.id : undefined;
+  return typeof id === 'string' && /^[a-zA-Z0-9_-]{1,32}$/.test(id) ? id : undefined;
+}
+
+// Helper function to shuffle a list using a cryptographically secure RNG
+function shuffle(list) {
+  const shuffled = [...list];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// Draw Secret Santa assignments so every participant gives to exactly one
+// other participant and receives from exactly one, respecting isAllowed.
+// Returns null when the rules make a draw impossible.
+function drawSecretSanta(participants, isAllowed) {
+  // Place the most constrained givers first so impossible branches fail early
+  const givers = shuffle(participants).sort((a, b) =>
+    participants.filter(r => isAllowed(a, r)).length - participants.filter(r => isAllowed(b, r)).length
+  );
+  const assignments = {};
+  const taken = new Set();
+  let steps = 0;
+
+  function assign(index) {
+    if (index === givers.length) return true;
+    if (++steps > 100000) return false;
+
+    const giver = givers[index];
+    for (const recipient of shuffle(participants)) {
+      if (taken.has(recipient) || !isAllowed(giver, recipient)) continue;
+
+      assignments[giver] = recipient;
+      taken.add(recipient);
+      if (assign(index + 1)) return true;
+      taken.delete(recipient);
+      delete assignments[giver];
+    }
+    return false;
+  }
+
+  return assign(0) ? assignments : null;
+}
+
+// Activity log
+// Which item fields each kind of logged item change touches. Undo only
+// compares and restores these, so undoing an edit doesn't touch claims.
+const EDITABLE_ITEM_FIELDS = ['description', 'priority', 'price', 'amount', 'details'];
+const CLAIM_ITEM_FIELDS = ['claimedBy', 'splitWith', 'purchased'];
+const CLAIM_ACTIONS = ['claimed', 'unclaimed', 'split', 'purchased'];
+
+// Helper function to copy some fields of an item
+function pickItemFields(item, fields) {
+  const picked = {};
+  for (const field of fields) {
+    picked[field] = item[field];
+  }
+  return picked;
+}
+
+// Record a change in the group's activity log. Called from inside updateGroup
+// so the entry commits (or rolls back) together with the change itself.
+// before/after hold exactly what undo needs to reverse it.
+function logActivity(db, groupId, revision, entry) {
+  return db.addActivity(groupId, revision, entry);
+}
+
+// Helper function to log a change to a single item
+function logItemChange(db, groupId, currentRevision, entry, before, after, fields) {
+  return logActivity(db, groupId, currentRevision + 1, {
+    ...entry,
+    before: before ? pickItemFields(sanitizeItem(before), fields) : null,
+    after: after ? pickItemFields(sanitizeItem(after), fields) : null
+  });
+}
+
+// Reverse a logged item change. Refuses with 409 when the item has changed
+// since, so newer changes are never silently thrown away.
+function undoItemChange(group, entry) {
+  const changedError = () => groupError(409, 'This item has changed since. Undo the newer changes first.');
+  const user = group.users[entry.target_user];
+  if (!user) {
+    throw changedError();
+  }
+
+  const index = user.items.findIndex(item => item.id === entry.item_id);
+  const before = entry.before_state;
+  const after = entry.after_state;
+
+  // Undoing a delete puts the item back
+  if (!after) {
+    if (index !== -1) {
+      throw changedError();
+    }
+    user.items.push(before);
+    return;
+  }
+
+  if (index === -1) {
+    throw changedError();
+  }
+
+  const current = sanitizeItem(user.items[index]);
+  const unchanged = Object.keys(after).every(field =>
+    JSON.stringify(current[field]) === JSON.stringify(after[field])
+  );
+  if (!unchanged) {
+    throw changedError();
+  }
+
+  // Undoing an add removes the item; anything else restores the old fields
+  if (!before) {
+    user.items.splice(index, 1);
+  } else {
+    Object.assign(user.items[index], before);
+  }
+}
+
+// Reverse removing a user: bring back their wishlist and the claims they had
+function undoUserRemoval(group, entry) {
+  const username = entry.target_user;
+  if (group.users[username]) {
+    throw groupError(409, `Someone named ${username} is in the group again. Remove them first to undo this.`);
+  }
+
+  const before = entry.before_state;
+  group.users[username] = before.user;
+
+  // Hand back anyone they managed who is still managed by someone
+  for (const managed of before.managed || []) {
+    const user = group.users[managed.username];
+    if (user && user.managedBy) {
+      user.managedBy = username;
+      user.managerIsRecipient = managed.managerIsRecipient;
+    }
+  }
+
+  for (const claim of before.claims) {
+    const owner = group.users[claim.username];
+    const item = owner && owner.items.find(candidate => candidate.id === claim.itemId);
+    if (!item) continue;
+
+    if (claim.claimed && !item.claimedBy.includes(username)) {
+      item.claimedBy.push(username);
+    }
+    if (claim.split && !item.splitWith.includes(username)) {
+      item.splitWith.push(username);
+    }
+  }
+}
+
+// Helper function to shape an activity row for a client. Snapshots stay on
+// the server; members don't see claims on their own wishlist.
+function toPublicActivity(row, undoneIds) {
+  return {
+    id: row.id,
+    revision: row.revision,
+    actor: row.actor,
+    action: row.action,
+    targetUser: row.target_user,
+    itemId: row.item_id,
+    summary: row.summary,
+    undoOf: row.undo_of,
+    undone: undoneIds.has(row.id),
+    undoable: !row.undo_of && (row.action === 'user_removed' || Boolean(row.item_id)),
+    createdAt: row.created_at
+  };
+}
+
+// Helper function to check whether an activity row is kept from the viewer:
+// a claim (or the undo of one, given the undone action) on a wishlist they
+// receive gifts from
+function isHiddenActivity(data, viewer, row, action) {
+  return receivesGiftsFrom(data, viewer, row.target_user) && CLAIM_ACTIONS.includes(action);
+}
+
+// Load a group's activity log, newest first. Pass the viewing member's name
+// to hide claims on their own wishlist and managed lists they receive gifts
+// with (and undos of those claims).
+async function getGroupActivity(groupId, viewer) {
+  const rows = await storage.listActivity(groupId, 500);
+  const group = viewer ? await storage.getGroup(groupId) : null;
+  const data = group ? group.data : { users: {} };
+
+  const undoneIds = new Set(rows.filter(row => row.undo_of).map(row => row.undo_of));
+  return rows
+    .filter(row => !viewer || !isHiddenActivity(data, viewer, row, row.undo_of ? row.undone_action : row.action))
+    .map(row => toPublicActivity(row, undoneIds));
+}
+
+// Budget
+// Helper function to round money to cents
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Work out what a giver is spending. Split gifts are divided evenly among
+// everyone in claimedBy. Like claim status, nothing about the giver's own
+// wishlist (or a managed one they receive gifts with) is included, so
+// recipients can't see what is being spent on them.
+function getSpendingSummary(data, giver) {
+  const budget = sanitizeBudget(data.budget);
+  const isOverBudget = total => budget.limit !== null && total > budget.limit;
+  const gifts = [];
+  const recipients = {};
+
+  for (const [recipient, user] of Object.entries(data.users)) {
+    if (receivesGiftsFrom(data, giver, recipient)) continue;
+
+    let received = 0;
+    for (const item of user.items) {
+      const claimedBy = Array.isArray(item.claimedBy) ? item.claimedBy : [];
+      if (claimedBy.length === 0) continue;
+
+      const amount = sanitizeAmount(item.amount);
+      if (amount !== null) {
+        received += amount;
+      }
+
+      if (claimedBy.includes(giver)) {
+        gifts.push({
+          recipient,
+          itemId: item.id,
+          description: item.description,
+          amount,
+          share: amount === null ? null : roundAmount(amount / claimedBy.length),
+          splitCount: claimedBy.length,
+          purchased: Boolean(item.purchased)
+        });
+      }
+    }
+
+    recipients[recipient] = { total: roundAmount(received), overBudget: isOverBudget(received) };
+  }
+
+  const claimed = roundAmount(gifts.reduce((sum, gift) => sum + (gift.share || 0), 0));
+  const purchased = roundAmount(gifts.filter(gift => gift.purchased).reduce((sum, gift) => sum + (gift.share || 0), 0));
+
+  return {
+    currency: budget.currency,
+    limit: budget.limit,
+    claimed,
+    purchased,
+    unpriced: gifts.filter(gift => gift.share === null).length,
+    overBudget: isOverBudget(claimed),
+    gifts,
+    recipients
+  };
+}
+
+// Import / export
+const PRICE_RANGES = ['Under $25', '$25-$50', '$50-$100', 'Over $100'];
+const EXPORT_FIELDS = ['description', 'priority', 'price', 'amount', 'details'];
+const MAX_IMPORT_SIZE = 200000;
+
+// Helper function to quote a CSV cell. Cells that a spreadsheet would run as a
+// formula get a leading apostrophe.
+function toCsvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Helper function to parse CSV text into rows of cells (handles quoted cells)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+// Build export rows for a group. The viewer's own list (and managed lists they
+// receive gifts with) never includes claim or purchase fields, just like in
+// the app.
+function getExportRows(data, viewer, onlyUser) {
+  const rows = [];
+  for (const [username, user] of Object.entries(data.users)) {
+    if (onlyUser && username !== onlyUser) continue;
+
+    for (const item of user.items) {
+      const row = { user: username, ...pickItemFields(item, EXPORT_FIELDS) };
+      if (!receivesGiftsFrom(data, viewer, username)) {
+        row.claimedBy = item.claimedBy;
+        row.purchased = item.purchased;
+      }
+      rows.push(row);
+    }
+  }
+  return rows;
+}
+
+// Helper function to turn export rows into CSV
+function toCsv(rows, includeClaims) {
+  const columns = ['user', ...EXPORT_FIELDS, ...(includeClaims ? ['claimedBy', 'purchased'] : [])];
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => {
+      const value = row[column];
+      if (Array.isArray(value)) return toCsvCell(value.join('; '));
+      if (column === 'purchased') return value === undefined ? '' : value ? 'yes' : 'no';
+      return toCsvCell(value);
+    }).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Helper function to read an amount from imported text ("$39.99", "40")
+function parseImportedAmount(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  const amount = Number(value.replace(/[$€£,\s]/g, ''));
+  return Number.isFinite(amount) ? amount : value;
+}
+
+// Pick the importing member's list out of a file that may hold several lists
+function pickImportedList(lists, username) {
+  const names = Object.keys(lists);
+  if (names.length === 1) return lists[names[0]];
+  if (Object.hasOwn(lists, username)) return lists[username];
+  throw groupError(400, `This file has lists for ${names.join(', ')} but not for ${username}`);
+}
+
+// Parse an exported JSON file: a list of items, { items }, or a group export
+function parseJsonImport(content, username) {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    throw groupError(400, 'That file is not valid JSON');
+  }
+
+  if (Array.isArray(parsed)) return parsed;
+  if (parsed && Array.isArray(parsed.items)) return parsed.items;
+  if (parsed && parsed.users && typeof parsed.users === 'object') {
+    const list = pickImportedList(parsed.users, username);
+    return list && Array.isArray(list.items) ? list.items : [];
+  }
+  throw groupError(400, 'No wishlist items found in that file');
+}
+
+// Parse an exported CSV file (the header row names the columns)
+function parseCsvImport(content, username) {
+  const [header, ...rows] = parseCsv(content);
+  if (!header) return [];
+
+  const columns = header.map(name => name.trim());
+  if (!columns.includes('description')) {
+    throw groupError(400, 'The CSV needs a "description" column');
+  }
+
+  // Keyed by the file's user column, so no inherited keys like "__proto__"
+  const lists = Object.create(null);
+  for (const cells of rows) {
+    const row = {};
+    columns.forEach((column, index) => {
+      // Undo the apostrophe added to formula-like cells on export
+      row[column] = (cells[index] || '').replace(/^'(?=[=+\-@])/, '');
+    });
+    const owner = row.user || username;
+    (lists[owner] = lists[owner] || []).push(row);
+  }
+
+  return Object.keys(lists).length === 0 ? [] : pickImportedList(lists, username);
+}
+
+// Parse a pasted list, one item per line. Bullets and checkboxes ("- [ ]")
+// are dropped. Picks up hints such as "(high)", "- low", "!!!", "maybe",
+// "$1,299.99", "under $25" or "$25-$50", and moves links into the details.
+function parsePastedList(content) {
+  const items = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    let line = rawLine.replace(/^\s*(?:(?:[-*•]|\d+[.)])\s+)?(?:\[[ xX]?\]\s*)?/, '').trim();
+    if (!line) continue;
+
+    // A trailing "- high" or "- low" (not "- medium", which is usually a size)
+    let priority = 'medium';
+    const prioritySuffix = line.match(/\s[-–—:]\s*(high|low)\s*$/i);
+    if (prioritySuffix) {
+      priority = prioritySuffix[1].toLowerCase();
+      line = line.slice(0, prioritySuffix.index);
+    } else if (/!!+|[([]\s*high\b|\bhigh priority\b|\bmust have\b/i.test(line)) {
+      priority = 'high';
+    } else if (/[([]\s*low\b|\blow priority\b|\bmaybe\b|\?\s*$/i.test(line)) {
+      priority = 'low';
+    }
+    line = line
+      .replace(/[([]\s*(?:high|medium|low)(?:\s+priority)?\s*[)\]]/ig, '')
+      .replace(/\b(?:high|medium|low)\s+priority\b/ig, '')
+      .replace(/!!+/g, '');
+
+    let price = '';
+    let amount = null;
+    const range = line.match(/\$?(\d+)\s*-\s*\$?(\d+)/);
+    const under = line.match(/\b(?:under|less than)\s*\$?(\d+)/i);
+    const over = line.match(/\b(?:over|more than)\s*\$?(\d+)/i);
+    const exact = line.match(/(?:\b(?:around|about|approx\.?|roughly)\s+|~\s?)?(?:[$€£]\s?(\d{1,3}(?:,\d{3})+(?:\.\d{1,2})?|\d+(?:\.\d{1,2})?)|(\d{1,3}(?:,\d{3})+(?:\.\d{1,2})?|\d+(?:\.\d{1,2})?)\s?(?:dollars|euros?|pounds|usd|eur|gbp)\b)/i);
+
+    if (range && PRICE_RANGES.includes(`$${range[1]}-$${range[2]}`)) {
+      price = `$${range[1]}-$${range[2]}`;
+      line = line.replace(range[0], '');
+    } else if (under && PRICE_RANGES.includes(`Under $${under[1]}`)) {
+      price = `Under $${under[1]}`;
+      line = line.replace(under[0], '');
+    } else if (over && PRICE_RANGES.includes(`Over $${over[1]}`)) {
+      price = `Over $${over[1]}`;
+      line = line.replace(over[0], '');
+    } else if (exact) {
+      amount = Number((exact[1] || exact[2]).replace(/,/g, ''));
+      line = line.replace(exact[0], '');
+    }
+
+    const links = line.match(/https?:\/\/\S+/g) || [];
+    line = line.replace(/https?:\/\/\S+/g, '');
+
+    const description = line.replace(/\s{2,}/g, ' ').replace(/^[\s,;:-]+|[\s,;:-]+$/g, '').trim();
+    if (!description) continue;
+
+    items.push({ description, priority, price, amount, details: links.join(' ') });
+  }
+
+  return items;
+}
+
+// Turn imported content into plain items (no IDs, claims or purchases)
+function parseImport(format, content, username) {
+  let items;
+  if (format === 'json') {
+    items = parseJsonImport(content, username);
+  } else if (format === 'csv') {
+    items = parseCsvImport(content, username);
+  } else if (format === 'text') {
+    items = parsePastedList(content);
+  } else {
+    throw groupError(400, 'Format must be csv, json or text');
+  }
+
+  return items
+    .filter(item => item && typeof item === 'object')
+    .map(item => ({
+      description: item.description,
+      priority: typeof item.priority === 'string' ? item.priority.toLowerCase() : item.priority,
+      price: item.price,
+      amount: parseImportedAmount(item.amount),
+      details: item.details
+    }));
+}
+
+// Health check endpoint
+app.get('/api/health', async (req, res) => {
+  try {
+    await storage.ping();
+    res.json({ 
+      success: true, 
+      message: 'Server and database healthy',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: 'Database connection error' 
+    });
+  }
+});
+
+// Prometheus metrics. Scrapers send METRICS_TOKEN as a bearer token; a
+// logged-in admin can view them too.
+app.get('/metrics', (req, res, next) => {
+  const authHeader = req.headers.authorization || '';
+  if (process.env.METRICS_TOKEN && authHeader.startsWith('Bearer ') &&
+      crypto.timingSafeEqual(
+        Buffer.from(hashToken(authHeader.substring(7))),
+        Buffer.from(hashToken(process.env.METRICS_TOKEN))
+      )) {
+    return next();
+  }
+  requireAdmin('admin')(req, res, next);
+}, (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// GET group data (groups with a passcode need it unless you're a member)
+app.get('/api/groups/:groupId', readLimiter, groupPasscodeLimiter, async (req, res) => {
+  try {
+    const groupId = req.params.groupId;
+    
+    // Validate groupId format
+    if (!isValidGroupId(groupId)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid group ID format' 
+      });
+    }
+    
+    const group = await storage.getGroup(groupId);
+    
+    if (!group) {
+      return res.json({ success: true, data: null });
+    }
+    
+    // Claims on your own wishlist are left out, so the server needs to know who is asking
+    const member = await getMember(groupId, req);
+    await checkGroupPasscode(group, member, req, res);
+    const hasPasscode = Boolean(group.passcode_hash);
+    
+    // Groups saved before items had stable IDs get them assigned on first load
+    if (hasItemsWithoutIds(group.data)) {
+      const { data, revision } = await updateGroup(groupId, () => {}, member);
+      return res.json({ success: true, data, revision, hasPasscode });
+    }
+    
+    res.json({
+      success: true,
+      data: toPublicGroupData(group.data, member ? member.username : null),
+      revision: group.revision,
+      hasPasscode
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendGroupError(res, error, 'Error loading group data');
+    }
+    req.log.error('Error loading group', { error });
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error loading group data' 
+    });
+  }
+});
+
+// Live group updates (Server-Sent Events), for members only. EventSource
+// can't send headers, so the member token comes as ?token= (request logs only
+// record the route pattern).
+app.get('/api/groups/:groupId/events', readLimiter, async (req, res) => {
+  const groupId = req.params.groupId;
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ 
+      success: false, 
+      message: 'Invalid group ID format' 
+    });
+  }
+
+  if ((subscribersPerIp.get(req.ip) || 0) >= MAX_SUBSCRIBERS_PER_IP) {
+    return res.status(429).json({ 
+      success: false, 
+      message: 'Too many live connections from your network' 
+    });
+  }
+
+  try {
+    const group = await storage.getGroup(groupId);
+    if (!group) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    const member = await getMember(groupId, req, typeof req.query.token === 'string' ? req.query.token : null);
+    if (!member) {
+      return res.status(401).json({ success: false, message: 'Please join the group (or open your recovery link) first' });
+    }
+  } catch (error) {
+    req.log.error('Error opening live updates', { error });
+    return res.status(500).json({ success: false, message: 'Error loading group data' });
+  }
+
+  // The client may have gone while we checked
+  if (req.socket.destroyed) {
+    return;
+  }
+
+  let subscribers = groupSubscribers.get(groupId);
+  if (!subscribers) {
+    subscribers = new Set();
+    groupSubscribers.set(groupId, subscribers);
+  }
+
+  if (subscribers.size >= MAX_SUBSCRIBERS_PER_GROUP) {
+    return res.status(503).json({ 
+      success: false, 
+      message: 'Too many live connections for this group' 
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering so events arrive immediately
+  });
+  res.write('retry: 5000\n\n');
+
+  subscribers.add(res);
+  const ip = req.ip;
+  subscribersPerIp.set(ip, (subscribersPerIp.get(ip) || 0) + 1);
+
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, 25000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    subscribers.delete(res);
+    if (subscribers.size === 0) {
+      groupSubscribers.delete(groupId);
+    }
+
+    const remaining = subscribersPerIp.get(ip) - 1;
+    if (remaining > 0) {
+      subscribersPerIp.set(ip, remaining);
+    } else {
+      subscribersPerIp.delete(ip);
+    }
+  });
+});
+
+// Create a group. The server picks the group ID so links can't be guessed or
+// claimed ahead of time. Body: the group data (createdBy must be one of its
+// users), plus an optional passcode that non-members need to view or join.
+app.post('/api/groups', groupCreationLimiter, async (req, res) => {
+  const { passcode, ...groupData } = req.body || {};
+
+  const validationErrors = validateGroupData(groupData);
+  if (!groupData.createdBy || !getUser(groupData, groupData.createdBy)) {
+    validationErrors.push('createdBy must name the group\'s first member');
+  }
+  const passcodeError = validatePasscode(passcode);
+  if (passcodeError) {
+    validationErrors.push(passcodeError);
+  }
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ 
+      success: false, 
+      message: 'Validation failed', 
+      errors: validationErrors 
+    });
+  }
+
+  const sanitizedData = sanitizeGroupData(groupData);
+
+  // Draw results are only ever produced by the server
+  sanitizedData.secretSanta.assignments = {};
+  sanitizedData.secretSanta.previousAssignments = {};
+  sanitizedData.secretSanta.drawnAt = '';
+
+  try {
+    const groupId = generateGroupId();
+    await storage.createGroup(groupId, sanitizedData, passcode ? await hashPassword(passcode) : null);
+    groupWrites.inc({ action: 'group_created' });
+
+    // The creator gets a member token plus a separate creator token
+    const memberToken = await issueMemberToken(storage, groupId, sanitizedData.createdBy, 'member');
+    const creatorToken = await issueMemberToken(storage, groupId, sanitizedData.createdBy, 'creator');
+
+    res.json({ success: true, message: 'Group created successfully', groupId, revision: 1, memberToken, creatorToken });
+  } catch (error) {
+    req.log.error('Error creating group', { error });
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error creating group' 
+    });
+  }
+});
+
+// Replace a group's data (creator only). New groups are made with POST /api/groups.
+app.post('/api/groups/:groupId', writeLimiter, async (req, res) => {
+  try {
+    const groupId = req.params.groupId;
+    const groupData = req.body;
+    
+    // Validate groupId format
+    if (!isValidGroupId(groupId)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid group ID format' 
+      });
+    }
+    
+    // Validate group data
+    const validationErrors = validateGroupData(groupData);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed', 
+        errors: validationErrors 
+      });
+    }
+    
+    // Sanitize group data
+    const sanitizedData = sanitizeGroupData(groupData);
+    
+    // Check if group exists
+    const existingGroup = await storage.getGroup(groupId, { includeDeleted: true });
+    
+    if (existingGroup && existingGroup.deleted_at) {
+      return res.status(410).json({ 
+        success: false, 
+        message: 'This group was deleted' 
+      });
+    }
+    
+    // Groups can't be created at an ID the client picked
+    if (!existingGroup) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Group not found. New groups are created with POST /api/groups.' 
+      });
+    }
+
+    // Update the group (creator only), but only if the client saw the latest revision
+    const member = await getMember(groupId, req);
+    const expectedRevision = Number(groupData.revision);
+    const { revision } = await updateGroup(groupId, async (data, currentRevision, tx) => {
+      requireCreator(data, member, 'Only the group creator can replace the whole group');
+      if (expectedRevision !== currentRevision) {
+        throw groupError(409, 'This group was changed by someone else. Please review the latest version and try again.');
+      }
+
+      // Secret Santa settings and draws are managed through their own endpoints,
+      // but exclusions and a draw can't name users the replace removes (the
+      // creator redraws)
+      const removedUsers = Object.keys(data.users).filter(username => !sanitizedData.users[username]);
+      const currentSecretSanta = sanitizeSecretSanta(data.secretSanta, Object.keys(sanitizedData.users));
+      if (Object.entries(currentSecretSanta.assignments).some(([giver, recipient]) =>
+        removedUsers.includes(giver) || removedUsers.includes(recipient))) {
+        currentSecretSanta.assignments = {};
+        currentSecretSanta.drawnAt = '';
+      }
+      for (const username of removedUsers) {
+        await tx.deleteMemberTokens(groupId, username);
+        await tx.deleteMemberEmail(groupId, username);
+      }
+
+      // The creator never sees claims on their own items (or on managed
+      // lists they receive gifts with), so keep the stored ones
+      for (const [username, user] of Object.entries(sanitizedData.users)) {
+        if (!data.users[username] || !receivesGiftsFrom(data, member.username, username)) continue;
+
+        const ownItems = data.users[username].items;
+        for (const item of user.items) {
+          const current = ownItems.find(candidate => candidate.id === item.id);
+          if (current) {
+            Object.assign(item, pickItemFields(sanitizeItem(current), CLAIM_ITEM_FIELDS));
+          }
+        }
+      }
+
+      for (const key of Object.keys(data)) {
+        delete data[key];
+      }
+      Object.assign(data, sanitizedData, { secretSanta: currentSecretSanta });
+
+      await logActivity(tx, groupId, currentRevision + 1, {
+        actor: member.username,
+        action: 'group_replaced',
+        summary: `${member.username} replaced the whole group`
+      });
+    });
+    res.json({ success: true, message: 'Group updated successfully', revision });
+  } catch (error) {
+    if (error.status) {
+      return sendGroupError(res, error, 'Error saving group data');
+    }
+    req.log.error('Error saving group', { error });
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error saving group data' 
+    });
+  }
+});
+
+// DELETE group (soft delete, creator or admin only)
+app.delete('/api/groups/:groupId', writeLimiter, async (req, res) => {
+  try {
+    const groupId = req.params.groupId;
+    
+    // Validate groupId format
+    if (!isValidGroupId(groupId)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid group ID format' 
+      });
+    }
+    
+    const existingGroup = await storage.getGroup(groupId);
+
+    if (!existingGroup) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    const adminSession = await getAdminSession(req);
+    let deletedBy;
+    if (adminSession && hasAdminRole(adminSession, 'admin')) {
+      deletedBy = `admin:${adminSession.username}`;
+      await auditAdminAction(req, 'group_deleted', { target: groupId, admin: adminSession });
+    } else {
+      const member = await getMember(groupId, req);
+      requireCreator(existingGroup.data, member, 'Only the group creator can reset the group');
+      deletedBy = `creator:${member.username}`;
+    }
+
+    await softDeleteGroup(groupId, deletedBy);
+    res.json({ 
+      success: true, 
+      message: 'Group deleted successfully',
+      recoveryDays: DELETED_GROUP_RECOVERY_DAYS
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendGroupError(res, error, 'Error deleting group');
+    }
+    req.log.error('Error deleting group', { error });
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error deleting group' 
+    });
+  }
+});
+
+// Join group (adds the member without touching anyone else's data)
+app.post('/api/groups/:groupId/users', writeLimiter, groupPasscodeLimiter, async (req, res) => {
+  const groupId = req.params.groupId;
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+
+  const rawUsername = req.body && typeof req.body.username === 'string' ? req.body.username : '';
+  const username = sanitizeString(rawUsername, 100);
+  if (!username) {
+    return res.status(400).json({ success: false, message: 'Name is required' });
+  }
+  if (isReservedUsername(username)) {
+    return res.status(400).json({ success: false, message: 'That name is reserved. Please pick another.' });
+  }
+
+  try {
+    const existingGroup = await storage.getGroup(groupId);
+    if (!existingGroup) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+    await checkGroupPasscode(existingGroup, await getMember(groupId, req), req, res);
+
+    const tokens = {};
+    const { data, revision } = await updateGroup(groupId, async (group, currentRevision, tx) => {
+      const existingRoles = await tx.getMemberTokenRoles(groupId, username);
+
+      // Managed members are looked after by someone else and can't be joined as
+      const existingUser = getUser(group, username);
+      if (existingUser && existingUser.managedBy) {
+        throw groupError(409, `${username}'s wishlist is managed by ${existingUser.managedBy}. Please join under your own name.`);
+      }
+
+      // Names already in the group belong to someone, so typing one doesn't
+      // sign you in as them. Members with a token re-link through their
+      // recovery link; members without one (from before tokens existed, or
+      // added by the creator) get a sign-in link from the creator or an admin.
+      if (existingUser) {
+        throw groupError(409, existingRoles.includes('member')
+          ? 'That name is already taken in this group. If it is you, open your recovery link on this device.'
+          : 'That name is already in this group. Ask the group creator for your sign-in link.');
+      }
+
+      group.users[username] = { items: [] };
+      await logActivity(tx, groupId, currentRevision + 1, {
+        actor: username,
+        action: 'user_joined',
+        targetUser: username,
+        summary: `${username} joined the group`
+      });
+
+      tokens.memberToken = await issueMemberToken(tx, groupId, username, 'member');
+
+      // Only a group without a creator makes its first member the creator
+      if (!group.createdBy) {
+        group.createdBy = username;
+        tokens.creatorToken = await issueMemberToken(tx, groupId, username, 'creator');
+      }
+    }, { username });
+    res.json({ success: true, username, ...tokens, data, revision });
+  } catch (error) {
+    sendGroupError(res, error, 'Error joining group');
+  }
+});
+
+// Issue a sign-in link for a member who doesn't have a token yet (creator
+// only): members from before tokens existed, or added by replacing the group.
+// Returns their member token, which the app turns into a recovery link.
+app.post('/api/groups/:groupId/users/:username/link', writeLimiter, async (req, res) => {
+  const { groupId, username } = req.params;
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+
+  try {
+    const group = await storage.getGroup(groupId);
+    if (!group) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    const member = await getMember(groupId, req);
+    requireCreator(group.data, member, 'Only the group creator can make sign-in links');
+
+    const user = getUser(group.data, username);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (user.managedBy) {
+      return res.status(400).json({ success: false, message: 'Managed members don\'t sign in; their manager keeps their list' });
+    }
+    if ((await storage.getMemberTokenRoles(groupId, username)).includes('member')) {
+      return res.status(409).json({ success: false, message: 'This member already has a recovery link' });
+    }
+
+    const memberToken = await issueMemberToken(storage, groupId, username, 'member');
+    res.json({ success: true, username, memberToken });
+  } catch (error) {
+    sendGroupError(res, error, 'Error making sign-in link');
+  }
+});
+
+// Set or remove the group passcode (creator only). Body: { passcode } - an
+// empty passcode removes it. Members who already joined keep access.
+app.put('/api/groups/:groupId/passcode', writeLimiter, async (req, res) => {
+  const groupId = req.params.groupId;
+  const passcode = req.body ? req.body.passcode : undefined;
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+  const passcodeError = validatePasscode(passcode);
+  if (passcodeError) {
+    return res.status(400).json({ success: false, message: passcodeError });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    const passcodeHash = passcode ? await hashPassword(passcode) : null;
+    const { data, revision } = await updateGroup(groupId, async (group, currentRevision, tx) => {
+      requireCreator(group, member, 'Only the group creator can change the passcode');
+      await tx.setGroupPasscode(groupId, passcodeHash);
+
+      await logActivity(tx, groupId, currentRevision + 1, {
+        actor: member.username,
+        action: 'passcode_changed',
+        summary: passcodeHash
+          ? `${member.username} set a new group passcode`
+          : `${member.username} removed the group passcode`
+      });
+    }, member);
+    res.json({ success: true, data, revision, hasPasscode: Boolean(passcodeHash) });
+  } catch (error) {
+    sendGroupError(res, error, 'Error changing passcode');
+  }
+});
+
+// Who am I? (used when opening a recovery link on a new device)
+app.get('/api/groups/:groupId/me', readLimiter, async (req, res) => {
+  const groupId = req.params.groupId;
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    if (!member) {
+      return res.status(401).json({ success: false, message: 'This recovery link is not valid for this group' });
+    }
+
+    res.json({ success: true, username: member.username, isCreator: member.isCreator });
+  } catch (error) {
+    req.log.error('Error checking member', { error });
+    res.status(500).json({ success: false, message: 'Error checking member' });
+  }
+});
+
+// Remove user (group creator, or the manager of a managed member)
+app.delete('/api/groups/:groupId/users/:username', writeLimiter, async (req, res) => {
+  const { groupId, username } = req.params;
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    const { data, revision } = await updateGroup(groupId, async (group, currentRevision, tx) => {
+      const actingUser = getActingUser(group, member);
+      if (username === actingUser) {
+        throw groupError(400, 'You cannot remove yourself from the group');
+      }
+      const removedUser = getUser(group, username);
+      if (!removedUser || removedUser.managedBy !== actingUser) {
+        requireCreator(group, member, 'Only the group creator can remove users');
+      }
+      if (!removedUser) {
+        throw groupError(404, 'User not found');
+      }
+
+      delete group.users[username];
+      await tx.deleteMemberTokens(groupId, username);
+      await tx.deleteMemberEmail(groupId, username);
+
+      // Anyone the removed user managed is handed to the creator
+      const managed = [];
+      for (const [name, user] of Object.entries(group.users)) {
+        if (user.managedBy === username) {
+          managed.push({ username: name, managerIsRecipient: Boolean(user.managerIsRecipient) });
+          user.managedBy = group.createdBy;
+          user.managerIsRecipient = false;
+        }
+      }
+
+      // A draw that involves the removed user can't be completed; the creator redraws
+      const secretSanta = sanitizeSecretSanta(group.secretSanta, Object.keys(group.users));
+      const assignments = Object.entries(secretSanta.assignments);
+      if (assignments.some(([giver, recipient]) => giver === username || recipient === username)) {
+        group.secretSanta = { ...secretSanta, assignments: {}, drawnAt: '' };
+      }
+
+      // Remove this user from any claims they made on other users' items
+      const claims = [];
+      for (const [owner, user] of Object.entries(group.users)) {
+        for (const item of user.items || []) {
+          const claimed = Array.isArray(item.claimedBy) && item.claimedBy.includes(username);
+          const split = Array.isArray(item.splitWith) && item.splitWith.includes(username);
+          if (!claimed && !split) continue;
+
+          claims.push({ username: owner, itemId: item.id, claimed, split });
+          item.claimedBy = item.claimedBy.filter(name => name !== username);
+          item.splitWith = (item.splitWith || []).filter(name => name !== username);
+        }
+      }
+
+      await logActivity(tx, groupId, currentRevision + 1, {
+        actor: actingUser,
+        action: 'user_removed',
+        targetUser: username,
+        summary: `${actingUser} removed ${username} from the group`,
+        before: { user: removedUser, claims, managed }
+      });
+    }, member);
+    res.json({ success: true, data, revision });
+  } catch (error) {
+    sendGroupError(res, error, 'Error removing user');
+  }
+});
+
+// ===== MANAGED MEMBERS =====
+
+// Add a managed member: someone who won't join themselves (a child, a pet,
+// Grandpa) whose wishlist the acting member looks after. Body: { username,
+// managerIsRecipient } - set managerIsRecipient when the manager receives
+// these gifts too, so claims on the list stay hidden from them.
+app.post('/api/groups/:groupId/managed-members', writeLimiter, async (req, res) => {
+  const groupId = req.params.groupId;
+  const body = req.body || {};
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+
+  const username = sanitizeString(typeof body.username === 'string' ? body.username : '', 100);
+  if (!username) {
+    return res.status(400).json({ success: false, message: 'Name is required' });
+  }
+  if (isReservedUsername(username)) {
+    return res.status(400).json({ success: false, message: 'That name is reserved. Please pick another.' });
+  }
+  if (body.managerIsRecipient !== undefined && typeof body.managerIsRecipient !== 'boolean') {
+    return res.status(400).json({ success: false, message: 'managerIsRecipient must be true or false' });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    const { data, revision } = await updateGroup(groupId, async (group, currentRevision, tx) => {
+      const actingUser = getActingUser(group, member);
+      if (group.users[actingUser].managedBy) {
+        throw groupError(403, 'Managed members cannot manage others');
+      }
+      if (getUser(group, username)) {
+        throw groupError(409, 'That name is already taken in this group');
+      }
+
+      group.users[username] = { items: [], managedBy: actingUser, managerIsRecipient: body.managerIsRecipient === true };
+
+      await logActivity(tx, groupId, currentRevision + 1, {
+        actor: actingUser,
+        action: 'user_joined',
+        targetUser: username,
+        summary: `${actingUser} added ${username} to the group`
+      });
+    }, member);
+    res.json({ success: true, data, revision });
+  } catch (error) {
+    sendGroupError(res, error, 'Error adding member');
+  }
+});
+
+// Change a managed member (their manager or the group creator). Body:
+// { managerIsRecipient, managedBy } - both optional; managedBy hands the list
+// to another member, and only the manager may set managerIsRecipient.
+app.put('/api/groups/:groupId/managed-members/:username', writeLimiter, async (req, res) => {
+  const { groupId, username } = req.params;
+  const body = req.body || {};
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+  if (body.managerIsRecipient !== undefined && typeof body.managerIsRecipient !== 'boolean') {
+    return res.status(400).json({ success: false, message: 'managerIsRecipient must be true or false' });
+  }
+  if (body.managedBy !== undefined && typeof body.managedBy !== 'string') {
+    return res.status(400).json({ success: false, message: 'managedBy must be a member name' });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    const { data, revision } = await updateGroup(groupId, async (group, currentRevision, tx) => {
+      const actingUser = getActingUser(group, member);
+      const user = getUser(group, username);
+      if (!user || !user.managedBy) {
+        throw groupError(404, 'Managed member not found');
+      }
+      if (user.managedBy !== actingUser) {
+        requireCreator(group, member, 'Only their manager or the group creator can change a managed member');
+      }
+
+      const changes = [];
+      if (body.managedBy !== undefined && body.managedBy !== user.managedBy) {
+        const manager = getUser(group, body.managedBy);
+        if (!manager || manager.managedBy) {
+          throw groupError(400, 'The new manager must be a member who joined the group');
+        }
+        user.managedBy = body.managedBy;
+        user.managerIsRecipient = false;
+        changes.push(`handed ${username}'s wishlist to ${body.managedBy}`);
+      }
+      if (body.managerIsRecipient !== undefined && body.managerIsRecipient !== Boolean(user.managerIsRecipient)) {
+        // Only the manager knows whether the gifts are for them too
+        if (user.managedBy !== actingUser) {
+          throw groupError(403, 'Only their manager can change who receives these gifts');
+        }
+        user.managerIsRecipient = body.managerIsRecipient;
+        changes.push(body.managerIsRecipient
+          ? `is now receiving ${username}'s gifts too`
+          : `is no longer receiving ${username}'s gifts`);
+      }
+
+      if (changes.length === 0) {
+        return;
+      }
+
+      await logActivity(tx, groupId, currentRevision + 1, {
+        actor: actingUser,
+        action: 'managed_member_changed',
+        targetUser: username,
+        summary: `${actingUser} ${changes.join(' and ')}`
+      });
+    }, member);
+    res.json({ success: true, data, revision });
+  } catch (error) {
+    sendGroupError(res, error, 'Error changing managed member');
+  }
+});
+
+// ===== END MANAGED MEMBERS =====
+
+// Add item to a wishlist (its owner or manager)
+app.post('/api/groups/:groupId/users/:username/items', writeLimiter, async (req, res) => {
+  const { groupId, username } = req.params;
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+
+  const fields = getItemFields(req.body);
+  if (!fields.description || typeof fields.description !== 'string' || !fields.description.trim()) {
+    return res.status(400).json({ success: false, message: 'Item description is required' });
+  }
+  if (!isValidAmount(fields.amount)) {
+    return res.status(400).json({ success: false, message: `Price must be a number between 0 and ${MAX_AMOUNT}` });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    const { data, revision } = await updateGroup(groupId, async (group, currentRevision, tx) => {
+      const actingUser = getActingUser(group, member);
+      if (!canManageWishlist(group, actingUser, username)) {
+        throw groupError(403, 'You can only add items to your own wishlist or one you manage');
+      }
+
+      // A client may pick the item's ID so a retried add (say, a change queued
+      // offline whose first attempt did reach us) doesn't add it twice
+      const clientItemId = getClientItemId(req.body);
+      if (clientItemId && group.users[username].items.some(item => item.id === clientItemId)) {
+        return;
+      }
+
+      const item = sanitizeItem({ ...fields, id: clientItemId });
+      group.users[username].items.push(item);
+
+      await logItemChange(tx, groupId, currentRevision, {
+        actor: actingUser,
+        action: 'item_added',
+        targetUser: username,
+        itemId: item.id,
+        summary: actingUser === username
+          ? `${actingUser} added "${item.description}"`
+          : `${actingUser} added "${item.description}" to ${username}'s wishlist`
+      }, null, item, Object.keys(item));
+    }, member);
+    res.json({ success: true, data, revision });
+  } catch (error) {
+    sendGroupError(res, error, 'Error adding item');
+  }
+});
+
+// Edit item (owner, manager or group creator)
+app.put('/api/groups/:groupId/users/:username/items/:itemId', writeLimiter, async (req, res) => {
+  const { groupId, username, itemId } = req.params;
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+
+  const fields = getItemFields(req.body);
+  if (!fields.description || typeof fields.description !== 'string' || !fields.description.trim()) {
+    return res.status(400).json({ success: false, message: 'Item description is required' });
+  }
+  if (!isValidAmount(fields.amount)) {
+    return res.status(400).json({ success: false, message: `Price must be a number between 0 and ${MAX_AMOUNT}` });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    const { data, revision } = await updateGroup(groupId, async (group, currentRevision, tx) => {
+      const actingUser = getActingUser(group, member);
+      if (!canManageWishlist(group, actingUser, username)) {
+        requireCreator(group, member, 'You can only edit your own items');
+      }
+
+      const item = findItem(group, username, itemId);
+      const before = { ...item };
+      const edited = sanitizeItem({ ...item, ...fields });
+      item.description = edited.description;
+      item.priority = edited.priority;
+      item.price = edited.price;
+      item.amount = edited.amount;
+      item.details = edited.details;
+
+      await logItemChange(tx, groupId, currentRevision, {
+        actor: actingUser,
+        action: 'item_edited',
+        targetUser: username,
+        itemId,
+        summary: actingUser === username
+          ? `${actingUser} edited "${item.description}"`
+          : `${actingUser} edited "${item.description}" on ${username}'s wishlist`
+      }, before, item, EDITABLE_ITEM_FIELDS);
+    }, member);
+    res.json({ success: true, data, revision });
+  } catch (error) {
+    sendGroupError(res, error, 'Error editing item');
+  }
+});
+
+// Delete item (owner or manager)
+app.delete('/api/groups/:groupId/users/:username/items/:itemId', writeLimiter, async (req, res) => {
+  const { groupId, username, itemId } = req.params;
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    const { data, revision } = await updateGroup(groupId, async (group, currentRevision, tx) => {
+      const actingUser = getActingUser(group, member);
+      if (!canManageWishlist(group, actingUser, username)) {
+        throw groupError(403, 'You can only delete your own items');
+      }
+
+      const item = findItem(group, username, itemId);
+      group.users[username].items = group.users[username].items.filter(candidate => candidate !== item);
+
+      const snapshot = sanitizeItem(item);
+      await logItemChange(tx, groupId, currentRevision, {
+        actor: actingUser,
+        action: 'item_deleted',
+        targetUser: username,
+        itemId,
+        summary: actingUser === username
+          ? `${actingUser} deleted "${item.description}"`
+          : `${actingUser} deleted "${item.description}" from ${username}'s wishlist`
+      }, snapshot, null, Object.keys(snapshot));
+    }, member);
+    res.json({ success: true, data, revision });
+  } catch (error) {
+    sendGroupError(res, error, 'Error deleting item');
+  }
+});
+
+// Claim item
+app.post('/api/groups/:groupId/users/:username/items/:itemId/claim', writeLimiter, async (req, res) => {
+  const { groupId, username, itemId } = req.params;
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    const { data, revision } = await updateGroup(groupId, async (group, currentRevision, tx) => {
+      const actingUser = getActingUser(group, member);
+      if (receivesGiftsFrom(group, actingUser, username)) {
+        throw groupError(400, 'You cannot claim items on your own wishlist');
+      }
+
+      const item = findItem(group, username, itemId);
+      if (item.claimedBy.includes(actingUser)) {
+        return;
+      }
+      if (item.claimedBy.length > 0) {
+        throw groupError(409, 'Someone else already claimed this item. You can split it with them instead.');
+      }
+
+      const before = { ...item, claimedBy: [...item.claimedBy] };
+      item.claimedBy.push(actingUser);
+
+      await logItemChange(tx, groupId, currentRevision, {
+        actor: actingUser,
+        action: 'claimed',
+        targetUser: username,
+        itemId,
+        summary: `${actingUser} claimed "${item.description}" from ${username}'s wishlist`
+      }, before, item, CLAIM_ITEM_FIELDS);
+    }, member);
+    res.json({ success: true, data, revision });
+  } catch (error) {
+    sendGroupError(res, error, 'Error claiming item');
+  }
+});
+
+// Unclaim item
+app.post('/api/groups/:groupId/users/:username/items/:itemId/unclaim', writeLimiter, async (req, res) => {
+  const { groupId, username, itemId } = req.params;
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    const { data, revision } = await updateGroup(groupId, async (group, currentRevision, tx) => {
+      const actingUser = getActingUser(group, member);
+      const item = findItem(group, username, itemId);
+      if (!item.claimedBy.includes(actingUser) && !item.splitWith.includes(actingUser)) {
+        return;
+      }
+
+      const before = { ...item };
+      item.claimedBy = item.claimedBy.filter(name => name !== actingUser);
+      item.splitWith = item.splitWith.filter(name => name !== actingUser);
+
+      await logItemChange(tx, groupId, currentRevision, {
+        actor: actingUser,
+        action: 'unclaimed',
+        targetUser: username,
+        itemId,
+        summary: `${actingUser} unclaimed "${item.description}" from ${username}'s wishlist`
+      }, before, item, CLAIM_ITEM_FIELDS);
+    }, member);
+    res.json({ success: true, data, revision });
+  } catch (error) {
+    sendGroupError(res, error, 'Error unclaiming item');
+  }
+});
+
+// Split gift (join an existing claim)
+app.post('/api/groups/:groupId/users/:username/items/:itemId/split', writeLimiter, async (req, res) => {
+  const { groupId, username, itemId } = req.params;
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    const { data, revision } = await updateGroup(groupId, async (group, currentRevision, tx) => {
+      const actingUser = getActingUser(group, member);
+      if (receivesGiftsFrom(group, actingUser, username)) {
+        throw groupError(400, 'You cannot split items on your own wishlist');
+      }
+
+      const item = findItem(group, username, itemId);
+      if (item.claimedBy.includes(actingUser) || item.splitWith.includes(actingUser)) {
+        throw groupError(409, "You're already part of this gift!");
+      }
+
+      const before = { ...item, claimedBy: [...item.claimedBy], splitWith: [...item.splitWith] };
+      item.claimedBy.push(actingUser);
+      item.splitWith.push(actingUser);
+
+      await logItemChange(tx, groupId, currentRevision, {
+        actor: actingUser,
+        action: 'split',
+        targetUser: username,
+        itemId,
+        summary: `${actingUser} joined the gift "${item.description}" for ${username}`
+      }, before, item, CLAIM_ITEM_FIELDS);
+    }, member);
+    res.json({ success: true, data, revision });
+  } catch (error) {
+    sendGroupError(res, error, 'Error splitting gift');
+  }
+});
+
+// Mark item as purchased (claimers only)
+app.post('/api/groups/:groupId/users/:username/items/:itemId/purchase', writeLimiter, async (req, res) => {
+  const { groupId, username, itemId } = req.params;
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    const { data, revision } = await updateGroup(groupId, async (group, currentRevision, tx) => {
+      const actingUser = getActingUser(group, member);
+      const item = findItem(group, username, itemId);
+      if (!item.claimedBy.includes(actingUser)) {
+        throw groupError(403, 'Only someone who claimed this item can mark it purchased');
+      }
+      if (item.purchased) {
+        return;
+      }
+
+      const before = { ...item };
+      item.purchased = true;
+
+      await logItemChange(tx, groupId, currentRevision, {
+        actor: actingUser,
+        action: 'purchased',
+        targetUser: username,
+        itemId,
+        summary: `${actingUser} bought "${item.description}" for ${username}`
+      }, before, item, CLAIM_ITEM_FIELDS);
+    }, member);
+    res.json({ success: true, data, revision });
+  } catch (error) {
+    sendGroupError(res, error, 'Error marking item purchased');
+  }
+});
+
+// ===== SECRET SANTA =====
+
+// Update Secret Santa settings (creator only)
+app.put('/api/groups/:groupId/secret-santa', writeLimiter, async (req, res) => {
+  const groupId = req.params.groupId;
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+
+  const body = req.body || {};
+  if (body.exclusions !== undefined && !Array.isArray(body.exclusions)) {
+    return res.status(400).json({ success: false, message: 'Exclusions must be a list of pairs' });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    const { data, revision } = await updateGroup(groupId, group => {
+      getActingUser(group, member);
+      requireCreator(group, member, 'Only the group creator can change Secret Santa settings');
+
+      const secretSanta = sanitizeSecretSanta(group.secretSanta, Object.keys(group.users));
+      if (body.enabled !== undefined) {
+        secretSanta.enabled = Boolean(body.enabled);
+      }
+      if (body.avoidPrevious !== undefined) {
+        secretSanta.avoidPrevious = Boolean(body.avoidPrevious);
+      }
+      if (body.exclusions !== undefined) {
+        secretSanta.exclusions = body.exclusions;
+      }
+      group.secretSanta = secretSanta;
+    }, member);
+    res.json({ success: true, data, revision });
+  } catch (error) {
+    sendGroupError(res, error, 'Error updating Secret Santa settings');
+  }
+});
+
+// Run the Secret Santa draw (creator only)
+app.post('/api/groups/:groupId/secret-santa/draw', writeLimiter, async (req, res) => {
+  const groupId = req.params.groupId;
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    const { data, revision } = await updateGroup(groupId, group => {
+      getActingUser(group, member);
+      requireCreator(group, member, 'Only the group creator can run the draw');
+
+      // Managed members can't see a pick, so only members who joined draw
+      const participants = Object.keys(group.users).filter(name => !group.users[name].managedBy);
+      if (participants.length < 2) {
+        throw groupError(400, 'At least two members are needed for a draw');
+      }
+
+      const secretSanta = sanitizeSecretSanta(group.secretSanta, participants);
+      if (!secretSanta.enabled) {
+        throw groupError(400, 'Secret Santa is not turned on for this group');
+      }
+
+      // A draw from an earlier year becomes "last year" for the avoid-repeats rule;
+      // redrawing within the same year keeps last year's results
+      if (secretSanta.drawnAt && new Date(secretSanta.drawnAt).getFullYear() < new Date().getFullYear()) {
+        secretSanta.previousAssignments = secretSanta.assignments;
+      }
+
+      const excluded = new Set(secretSanta.exclusions.flatMap(([a, b]) => [`${a}\n${b}`, `${b}\n${a}`]));
+      const isAllowed = (giver, recipient) =>
+        giver !== recipient &&
+        !excluded.has(`${giver}\n${recipient}`) &&
+        !(secretSanta.avoidPrevious && secretSanta.previousAssignments[giver] === recipient);
+
+      const assignments = drawSecretSanta(participants, isAllowed);
+      if (!assignments) {
+        throw groupError(422, 'No draw is possible with these rules. Try removing an exclusion or allowing repeats from last year.');
+      }
+
+      secretSanta.assignments = assignments;
+      secretSanta.drawnAt = new Date().toISOString();
+      group.secretSanta = secretSanta;
+    }, member);
+    res.json({ success: true, data, revision });
+  } catch (error) {
+    sendGroupError(res, error, 'Error running Secret Santa draw');
+  }
+});
+
+// Cancel the current Secret Santa draw (creator only)
+app.delete('/api/groups/:groupId/secret-santa/draw', writeLimiter, async (req, res) => {
+  const groupId = req.params.groupId;
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    const { data, revision } = await updateGroup(groupId, group => {
+      getActingUser(group, member);
+      requireCreator(group, member, 'Only the group creator can cancel the draw');
+
+      const secretSanta = sanitizeSecretSanta(group.secretSanta, Object.keys(group.users));
+      secretSanta.assignments = {};
+      secretSanta.drawnAt = '';
+      group.secretSanta = secretSanta;
+    }, member);
+    res.json({ success: true, data, revision });
+  } catch (error) {
+    sendGroupError(res, error, 'Error cancelling Secret Santa draw');
+  }
+});
+
+// Get your own Secret Santa assignment (nobody else's)
+app.get('/api/groups/:groupId/secret-santa/me', readLimiter, async (req, res) => {
+  const groupId = req.params.groupId;
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    if (!member) {
+      return res.status(401).json({ success: false, message: 'Please join the group (or open your recovery link) first' });
+    }
+
+    const group = await storage.getGroup(groupId);
+
+    if (!group) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    const data = group.data;
+    const secretSanta = sanitizeSecretSanta(data.secretSanta, Object.keys(data.users || {}));
+
+    res.json({
+      success: true,
+      drawnAt: secretSanta.drawnAt,
+      recipient: secretSanta.assignments[member.username] || null
+    });
+  } catch (error) {
+    req.log.error('Error loading Secret Santa assignment', { error });
+    res.status(500).json({ success: false, message: 'Error loading Secret Santa assignment' });
+  }
+});
+
+// ===== END SECRET SANTA =====
+
+// ===== BUDGET =====
+
+// Update the group's spending limit and currency (creator only)
+app.put('/api/groups/:groupId/budget', writeLimiter, async (req, res) => {
+  const groupId = req.params.groupId;
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+
+  const body = req.body || {};
+  if (!isValidAmount(body.limit)) {
+    return res.status(400).json({ success: false, message: `Spending limit must be a number between 0 and ${MAX_AMOUNT}` });
+  }
+  if (body.currency !== undefined && !SUPPORTED_CURRENCIES.includes(body.currency)) {
+    return res.status(400).json({ success: false, message: 'Unsupported currency' });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    const { data, revision } = await updateGroup(groupId, group => {
+      getActingUser(group, member);
+      requireCreator(group, member, 'Only the group creator can change the budget');
+
+      const budget = sanitizeBudget(group.budget);
+      group.budget = {
+        limit: body.limit === undefined ? budget.limit : body.limit,
+        currency: body.currency === undefined ? budget.currency : body.currency
+      };
+    }, member);
+    res.json({ success: true, data, revision });
+  } catch (error) {
+    sendGroupError(res, error, 'Error updating budget');
+  }
+});
+
+// Update the group's language (creator only). It's used for emails and as the
+// app's language for members who haven't chosen their own.
+app.put('/api/groups/:groupId/language', writeLimiter, async (req, res) => {
+  const groupId = req.params.groupId;
+  const language = req.body ? req.body.language : undefined;
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+  if (!I18n.isSupportedLanguage(language)) {
+    return res.status(400).json({ success: false, message: 'Unsupported language' });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    const { data, revision } = await updateGroup(groupId, group => {
+      getActingUser(group, member);
+      requireCreator(group, member, 'Only the group creator can change the language');
+      group.language = language;
+    }, member);
+    res.json({ success: true, data, revision });
+  } catch (error) {
+    sendGroupError(res, error, 'Error updating language');
+  }
+});
+
+// Your own spending summary (member token required)
+app.get('/api/groups/:groupId/spending', readLimiter, async (req, res) => {
+  const groupId = req.params.groupId;
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    if (!member) {
+      return res.status(401).json({ success: false, message: 'Please join the group (or open your recovery link) first' });
+    }
+
+    const group = await storage.getGroup(groupId);
+    if (!group) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    const data = sanitizeGroupData(group.data);
+    res.json({ success: true, ...getSpendingSummary(data, member.username) });
+  } catch (error) {
+    req.log.error('Error loading spending', { error });
+    res.status(500).json({ success: false, message: 'Error loading spending' });
+  }
+});
+
+// ===== END BUDGET =====
+
+// ===== IMPORT / EXPORT =====
+
+// Export the whole group, or one member's list with ?user= (member token required)
+app.get('/api/groups/:groupId/export', readLimiter, async (req, res) => {
+  const groupId = req.params.groupId;
+  const format = req.query.format === 'csv' ? 'csv' : 'json';
+  const onlyUser = typeof req.query.user === 'string' ? req.query.user : '';
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    if (!member) {
+      return res.status(401).json({ success: false, message: 'Please join the group (or open your recovery link) first' });
+    }
+
+    const group = await storage.getGroup(groupId);
+    if (!group) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    const data = sanitizeGroupData(group.data);
+    if (onlyUser && !getUser(data, onlyUser)) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const rows = getExportRows(data, member.username, onlyUser);
+    const includeClaims = !onlyUser || !receivesGiftsFrom(data, member.username, onlyUser);
+    const filename = `${(onlyUser || data.groupName).replace(/[^a-zA-Z0-9_-]+/g, '-') || 'wishlist'}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') {
+      res.type('text/csv').send(toCsv(rows, includeClaims));
+      return;
+    }
+
+    const users = {};
+    for (const { user, ...item } of rows) {
+      (users[user] = users[user] || { items: [] }).items.push(item);
+    }
+    res.json({ groupName: data.groupName, exportedAt: new Date().toISOString(), users });
+  } catch (error) {
+    req.log.error('Error exporting group', { error });
+    res.status(500).json({ success: false, message: 'Error exporting group' });
+  }
+});
+
+// Import items into your own wishlist (or one you manage) from CSV, JSON or a pasted list
+app.post('/api/groups/:groupId/users/:username/import', writeLimiter, async (req, res) => {
+  const { groupId, username } = req.params;
+  const body = req.body || {};
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+  if (typeof body.content !== 'string' || !body.content.trim()) {
+    return res.status(400).json({ success: false, message: 'Nothing to import' });
+  }
+  if (body.content.length > MAX_IMPORT_SIZE) {
+    return res.status(400).json({ success: false, message: 'That file is too large to import' });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    let imported = 0;
+    const { data, revision } = await updateGroup(groupId, async (group, currentRevision, tx) => {
+      const actingUser = getActingUser(group, member);
+      if (!canManageWishlist(group, actingUser, username)) {
+        throw groupError(403, 'You can only import items into your own wishlist or one you manage');
+      }
+
+      const items = parseImport(body.format, body.content, username);
+      if (items.length === 0) {
+        throw groupError(400, 'No wishlist items found to import');
+      }
+
+      // Items go in unsanitized so validateGroupData enforces the usual limits
+      for (const fields of items) {
+        const item = { id: generateItemId(), ...fields, claimedBy: [], splitWith: [], purchased: false };
+        group.users[username].items.push(item);
+
+        await logItemChange(tx, groupId, currentRevision, {
+          actor: actingUser,
+          action: 'item_added',
+          targetUser: username,
+          itemId: item.id,
+          summary: `${actingUser} added "${sanitizeString(String(item.description || ''), 500)}" (imported)`
+        }, null, item, Object.keys(sanitizeItem(item)));
+      }
+      imported = items.length;
+    }, member);
+    res.json({ success: true, imported, data, revision });
+  } catch (error) {
+    sendGroupError(res, error, 'Error importing items');
+  }
+});
+
+// ===== END IMPORT / EXPORT =====
+
+// ===== GROUP HISTORY =====
+
+// Activity log for a group (members only; claims on your own wishlist are left out)
+app.get('/api/groups/:groupId/history', readLimiter, async (req, res) => {
+  const groupId = req.params.groupId;
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    if (!member) {
+      return res.status(401).json({ success: false, message: 'Please join the group (or open your recovery link) first' });
+    }
+
+    const entries = await getGroupActivity(groupId, member.username);
+    res.json({ success: true, entries });
+  } catch (error) {
+    req.log.error('Error loading history', { error });
+    res.status(500).json({ success: false, message: 'Error loading history' });
+  }
+});
+
+// Undo a single history entry (creator only)
+app.post('/api/groups/:groupId/history/:entryId/undo', writeLimiter, async (req, res) => {
+  const groupId = req.params.groupId;
+  const entryId = parseInt(req.params.entryId, 10);
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+  if (!Number.isInteger(entryId) || entryId < 1) {
+    return res.status(400).json({ success: false, message: 'Invalid history entry' });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    const { data, revision } = await updateGroup(groupId, async (group, currentRevision, tx) => {
+      const actingUser = getActingUser(group, member);
+      requireCreator(group, member, 'Only the group creator can undo changes');
+
+      // Entries left out of the creator's history look the same as missing ones
+      const entry = await tx.getActivity(groupId, entryId);
+      const undone = entry && entry.undo_of ? await tx.getActivity(groupId, entry.undo_of) : null;
+      if (!entry || isHiddenActivity(group, actingUser, entry, undone ? undone.action : entry.action)) {
+        throw groupError(404, 'History entry not found');
+      }
+
+      if (await tx.isActivityUndone(entryId)) {
+        throw groupError(409, 'This change has already been undone');
+      }
+
+      if (entry.action === 'undo') {
+        throw groupError(400, 'Undos cannot be undone');
+      } else if (entry.action === 'user_removed') {
+        undoUserRemoval(group, entry);
+      } else if (entry.item_id) {
+        undoItemChange(group, entry);
+      } else {
+        throw groupError(400, 'This change cannot be undone');
+      }
+
+      await logActivity(tx, groupId, currentRevision + 1, {
+        actor: actingUser,
+        action: 'undo',
+        targetUser: entry.target_user,
+        itemId: entry.item_id,
+        summary: `${actingUser} undid: ${entry.summary}`,
+        undoOf: entryId
+      });
+    }, member);
+    res.json({ success: true, data, revision });
+  } catch (error) {
+    sendGroupError(res, error, 'Error undoing change');
+  }
+});
+
+// ===== END GROUP HISTORY =====
+
+// ===== NEXT EVENT =====
+
+// Helper function to move a YYYY-MM-DD date one year on (Feb 29 becomes Mar 1)
+function sameDateNextYear(eventDate) {
+  const date = eventDate && validator.isISO8601(eventDate) ? new Date(`${eventDate.substring(0, 10)}T00:00:00Z`) : new Date();
+  date.setUTCFullYear(date.getUTCFullYear() + 1);
+  return date.toISOString().substring(0, 10);
+}
+
+// Helper function to suggest the next event's date: the event type's next
+// date after the current event (see eventTypes.js), else the same date next year
+function suggestNextEventDate(group) {
+  const current = group.eventDate && validator.isISO8601(group.eventDate) ? group.eventDate.substring(0, 10) : '';
+  const today = new Date().toISOString().substring(0, 10);
+  let from = today;
+  if (current) {
+    const dayAfter = new Date(`${current}T00:00:00Z`);
+    dayAfter.setUTCDate(dayAfter.getUTCDate() + 1);
+    from = dayAfter.toISOString().substring(0, 10) > today ? dayAfter.toISOString().substring(0, 10) : today;
+  }
+  return EventTypes.nextEventDate(group.holiday, from) || sameDateNextYear(group.eventDate);
+}
+
+// Start the group's next event (creator only). The finished event is kept as
+// a read-only snapshot, everyone stays in the group with the same tokens, and
+// claims, purchases and the Secret Santa draw start over. Body:
+// { eventDate (defaults to the event type's next date, or the same date next
+// year), carryOver (keep unpurchased items, unclaimed) }.
+app.post('/api/groups/:groupId/next-event', writeLimiter, async (req, res) => {
+  const groupId = req.params.groupId;
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+
+  const body = req.body || {};
+  if (body.eventDate !== undefined && (typeof body.eventDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(body.eventDate) ||
+      !validator.isISO8601(body.eventDate))) {
+    return res.status(400).json({ success: false, message: 'Event date must be YYYY-MM-DD' });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    const { data, revision } = await updateGroup(groupId, async (group, currentRevision, tx) => {
+      const actingUser = getActingUser(group, member);
+      requireCreator(group, member, 'Only the group creator can start the next event');
+
+      const eventDate = body.eventDate || suggestNextEventDate(group);
+      if (group.eventDate && eventDate <= group.eventDate.substring(0, 10)) {
+        throw groupError(400, 'The next event must be after the current one');
+      }
+
+      const finished = sanitizeGroupData(group);
+      await tx.addPastEvent(groupId, finished.eventDate, {
+        groupName: finished.groupName,
+        holiday: finished.holiday,
+        eventDate: finished.eventDate,
+        budget: finished.budget,
+        users: finished.users
+      });
+
+      let carriedCount = 0;
+      for (const user of Object.values(group.users)) {
+        user.items = body.carryOver === true
+          ? user.items.filter(item => !item.purchased).map(item => ({
+            ...item,
+            notes: '',
+            claimedBy: [],
+            splitWith: [],
+            purchased: false
+          }))
+          : [];
+        carriedCount += user.items.length;
+      }
+
+      // This draw becomes "last year" for the avoid-repeats rule
+      const secretSanta = sanitizeSecretSanta(group.secretSanta, Object.keys(group.users));
+      if (secretSanta.drawnAt) {
+        secretSanta.previousAssignments = secretSanta.assignments;
+      }
+      secretSanta.assignments = {};
+      secretSanta.drawnAt = '';
+      group.secretSanta = secretSanta;
+      group.eventDate = eventDate;
+
+      await logActivity(tx, groupId, currentRevision + 1, {
+        actor: actingUser,
+        action: 'next_event_started',
+        summary: `${actingUser} started the next event on ${eventDate}` +
+          (carriedCount > 0 ? `, keeping ${carriedCount} unpurchased item${carriedCount === 1 ? '' : 's'}` : '')
+      });
+    }, member);
+    res.json({ success: true, data, revision });
+  } catch (error) {
+    sendGroupError(res, error, 'Error starting the next event');
+  }
+});
+
+// List the group's earlier events, newest first
+app.get('/api/groups/:groupId/past-events', readLimiter, async (req, res) => {
+  const groupId = req.params.groupId;
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    if (!member) {
+      return res.status(401).json({ success: false, message: 'Please join the group (or open your recovery link) first' });
+    }
+
+    const rows = await storage.listPastEvents(groupId);
+    res.json({
+      success: true,
+      events: rows.map(row => ({
+        id: row.id,
+        eventDate: row.event_date,
+        groupName: row.group_name,
+        holiday: row.holiday,
+        endedAt: row.created_at
+      }))
+    });
+  } catch (error) {
+    req.log.error('Error loading past events', { error });
+    res.status(500).json({ success: false, message: 'Error loading past events' });
+  }
+});
+
+// A past event's wishlists, claims and purchases, read-only. Claims on your
+// own items follow the same rule as the live group.
+app.get('/api/groups/:groupId/past-events/:eventId', readLimiter, async (req, res) => {
+  const groupId = req.params.groupId;
+  const eventId = parseInt(req.params.eventId, 10);
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+  if (!Number.isInteger(eventId) || eventId < 1) {
+    return res.status(400).json({ success: false, message: 'Invalid past event' });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    if (!member) {
+      return res.status(401).json({ success: false, message: 'Please join the group (or open your recovery link) first' });
+    }
+
+    const row = await storage.getPastEvent(groupId, eventId);
+    if (!row) {
+      return res.status(404).json({ success: false, message: 'Past event not found' });
+    }
+
+    const data = toPublicGroupData(row.data, member.username);
+    delete data.secretSanta;
+    res.json({ success: true, event: { id: row.id, endedAt: row.created_at, data } });
+  } catch (error) {
+    req.log.error('Error loading past event', { error });
+    res.status(500).json({ success: false, message: 'Error loading past event' });
+  }
+});
+
+// ===== END NEXT EVENT =====
+
+// ===== EMAIL REMINDERS =====
+
+// Your reminder email settings (member token required)
+app.get('/api/groups/:groupId/notifications', readLimiter, async (req, res) => {
+  const groupId = req.params.groupId;
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    if (!member) {
+      return res.status(401).json({ success: false, message: 'Please join the group (or open your recovery link) first' });
+    }
+
+    const settings = await storage.getMemberEmail(groupId, member.username);
+
+    res.json({
+      success: true,
+      email: settings ? settings.email : '',
+      following: settings ? settings.following : null
+    });
+  } catch (error) {
+    req.log.error('Error loading reminder settings', { error });
+    res.status(500).json({ success: false, message: 'Error loading reminder settings' });
+  }
+});
+
+// Register (or clear, with an empty email) your reminder email and the lists you follow
+app.put('/api/groups/:groupId/notifications', writeLimiter, async (req, res) => {
+  const groupId = req.params.groupId;
+
+  if (!isValidGroupId(groupId)) {
+    return res.status(400).json({ success: false, message: 'Invalid group ID format' });
+  }
+
+  const body = req.body || {};
+  const email = typeof body.email === 'string' ? body.email.trim() : '';
+  if (email && (email.length > 254 || !validator.isEmail(email))) {
+    return res.status(400).json({ success: false, message: 'Invalid email address' });
+  }
+  if (body.following !== undefined && (!Array.isArray(body.following) || body.following.length > 50)) {
+    return res.status(400).json({ success: false, message: 'Following must be a list of names' });
+  }
+
+  try {
+    const member = await getMember(groupId, req);
+    if (!member) {
+      return res.status(401).json({ success: false, message: 'Please join the group (or open your recovery link) first' });
+    }
+
+    if (!email) {
+      await storage.deleteMemberEmail(groupId, member.username);
+      return res.json({ success: true, email: '', following: null });
+    }
+
+    const group = await storage.getGroup(groupId);
+    if (!group) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    // Only other members' lists can be followed
+    const usernames = Object.keys(group.data.users || {});
+    const following = (body.following || usernames)
+      .filter(name => typeof name === 'string' && name !== member.username && usernames.includes(name));
+
+    await storage.saveMemberEmail(groupId, member.username, email, following);
+
+    res.json({ success: true, email, following });
+  } catch (error) {
+    req.log.error('Error saving reminder settings', { error });
+    res.status(500).json({ success: false, message: 'Error saving reminder settings' });
+  }
+});
+
+// ===== END EMAIL REMINDERS =====
+
+// Contact inbox statuses. New messages start as 'new' (or 'spam' when they
+// score SPAM_SCORE_THRESHOLD or more).
+const CONTACT_STATUSES = ['new', 'read', 'replied', 'spam', 'archived'];
+const SPAM_SCORE_THRESHOLD = 5;
+const CONTACT_DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Score a contact form submission for spam. Resolves to { score, reasons }.
+// `website` is a honeypot field people never see, so only bots fill it in.
+async function scoreContactSubmission({ email, message, website }) {
+  const reasons = [];
+  let score = 0;
+
+  if (website) {
+    score += 10;
+    reasons.push('honeypot');
+  }
+
+  const links = (message.match(/https?:\/\/|www\./gi) || []).length;
+  if (links > 0) {
+    score += links >= 3 ? 3 : 1;
+    reasons.push(`links:${links}`);
+  }
+
+  const since = new Date(Date.now() - CONTACT_DUPLICATE_WINDOW_MS);
+  if (await storage.countSimilarContacts({ email, message, since }) > 0) {
+    score += 3;
+    reasons.push('duplicate');
+  }
+
+  return { score, reasons };
+}
+
+// Contact form endpoint - Saves to database
+app.post('/api/contact', contactLimiter, async (req, res) => {
+  try {
+    const { name, email, message, website } = req.body;
+
+    // Validate inputs
+    if (!name || !email || !message) {
+      return res.status(400).json({
+        success: false,
+        message: 'All fields are required'
+      });
+    }
+
+    if (!validator.isEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid email address'
+      });
+    }
+
+    if (name.length > 100 || message.length > 2000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Input too long'
+      });
+    }
+
+    // Sanitize inputs
+    const sanitizedName = sanitizeString(name, 100);
+    const sanitizedEmail = validator.normalizeEmail(email);
+    const sanitizedMessage = sanitizeString(message, 2000);
+
+    // Spam is stored too, out of the inbox, so false positives can be found.
+    // The sender gets the same answer either way.
+    const spam = await scoreContactSubmission({ email: sanitizedEmail, message: sanitizedMessage, website });
+    await storage.addContact(sanitizedName, sanitizedEmail, sanitizedMessage, {
+      status: spam.score >= SPAM_SCORE_THRESHOLD ? 'spam' : 'new',
+      spamScore: spam.score,
+      spamReasons: spam.reasons.length > 0 ? spam.reasons : null
+    });
+
+    // The submission itself is only visible in the admin dashboard
+    req.log.info('Contact form submission received', {
+      messageLength: sanitizedMessage.length,
+      spamScore: spam.score
+    });
+
+    res.json({
+      success: true,
       message: 'Message received! Thank you for your feedback.'
     });
   } catch (error) {
-    console.error('Error processing contact form:', error);
+    req.log.error('Error processing contact form', { error });
     res.status(500).json({
       success: false,
       message: 'Error sending message. Please try again later.'
@@ -496,209 +3226,887 @@ app.post('/api/contact', contactLimiter, async (req, res) => {
 
 // ===== ADMIN ENDPOINTS =====
 
-// Admin login
-app.post('/admin/api/login', adminLoginLimiter, (req, res) => {
-  const { password } = req.body;
+// Admin login. Accounts with two-factor on also need `code`; without it the
+// response has totpRequired: true.
+app.post('/admin/api/login', adminLoginLimiter, async (req, res) => {
+  const username = normalizeAdminUsername(req.body.username);
+  const { password, code } = req.body;
 
-  if (!process.env.ADMIN_PASSWORD) {
-    return res.status(500).json({
+  try {
+    const user = username ? await storage.getAdminUserByName(username) : null;
+    const passwordMatches = await verifyPassword(password, user ? user.password_hash : await unknownAdminPasswordHash);
+
+    if (!user || !passwordMatches) {
+      req.log.warn('Failed admin login attempt');
+      await auditAdminAction(req, 'login_failed', {
+        admin: { adminUserId: user ? user.id : null, username },
+        details: { reason: user ? 'wrong_password' : 'unknown_user' }
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid username or password'
+      });
+    }
+
+    if (user.totp_enabled) {
+      if (!code) {
+        res.locals.totpPrompt = true;
+        return res.status(401).json({
+          success: false,
+          totpRequired: true,
+          message: 'Enter the code from your authenticator app'
+        });
+      }
+
+      const step = totp.verifyCode(user.totp_secret, code);
+      if (step === null || !(await storage.useTotpStep(user.id, step))) {
+        req.log.warn('Failed admin two-factor attempt', { adminUserId: user.id });
+        await auditAdminAction(req, 'login_failed', {
+          admin: { adminUserId: user.id, username: user.username },
+          details: { reason: 'invalid_code' }
+        });
+        return res.status(401).json({
+          success: false,
+          totpRequired: true,
+          message: 'Invalid authentication code'
+        });
+      }
+    }
+
+    // Generate session token
+    const token = crypto.randomBytes(32).toString('hex');
+    await storage.createAdminSession(hashToken(token), {
+      adminUserId: user.id,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + ADMIN_SESSION_MS
+    });
+    await storage.updateAdminUser(user.id, { last_login_at: new Date() });
+    req.log.info('Admin logged in', { adminUserId: user.id, role: user.role });
+    await auditAdminAction(req, 'login', {
+      admin: { adminUserId: user.id, username: user.username },
+      details: { twoFactor: user.totp_enabled }
+    });
+
+    res.json({
+      success: true,
+      token,
+      admin: { username: user.username, role: user.role, totpEnabled: user.totp_enabled }
+    });
+  } catch (error) {
+    req.log.error('Error logging in admin', { error });
+    res.status(500).json({ success: false, message: 'Error logging in' });
+  }
+});
+
+// Admin logout
+app.post('/admin/api/logout', requireAdmin('support'), async (req, res) => {
+  try {
+    await storage.deleteAdminSession(req.admin.tokenHash);
+    req.log.info('Admin logged out', { adminUserId: req.admin.adminUserId });
+    await auditAdminAction(req, 'logout');
+    res.json({ success: true });
+  } catch (error) {
+    req.log.error('Error logging out', { error });
+    res.status(500).json({ success: false, message: 'Error logging out' });
+  }
+});
+
+// The logged-in admin's account
+app.get('/admin/api/me', requireAdmin('support'), async (req, res) => {
+  try {
+    const user = await storage.getAdminUser(req.admin.adminUserId);
+    res.json({
+      success: true,
+      admin: { username: user.username, role: user.role, totpEnabled: user.totp_enabled }
+    });
+  } catch (error) {
+    req.log.error('Error loading admin account', { error });
+    res.status(500).json({ success: false, message: 'Error loading account' });
+  }
+});
+
+// Change your own password. Your other sessions are signed out.
+app.put('/admin/api/me/password', requireAdmin('support'), adminLoginLimiter, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const passwordError = validateAdminPassword(newPassword);
+  if (passwordError) {
+    return res.status(400).json({ success: false, message: passwordError });
+  }
+
+  try {
+    const user = await storage.getAdminUser(req.admin.adminUserId);
+    if (!(await verifyPassword(currentPassword, user.password_hash))) {
+      return res.status(403).json({ success: false, message: 'Current password is incorrect' });
+    }
+
+    await storage.updateAdminUser(user.id, { password_hash: await hashPassword(newPassword) });
+    await storage.deleteAdminSessionsFor(user.id, req.admin.tokenHash);
+    req.log.info('Admin changed password', { adminUserId: user.id });
+    await auditAdminAction(req, 'password_changed', { target: user.username });
+    res.json({ success: true });
+  } catch (error) {
+    req.log.error('Error changing admin password', { error });
+    res.status(500).json({ success: false, message: 'Error changing password' });
+  }
+});
+
+// Start two-factor setup. The new secret only takes effect once a code from
+// it is confirmed.
+app.post('/admin/api/me/totp', requireAdmin('support'), async (req, res) => {
+  try {
+    const user = await storage.getAdminUser(req.admin.adminUserId);
+    if (user.totp_enabled) {
+      return res.status(409).json({ success: false, message: 'Two-factor authentication is already on' });
+    }
+
+    const secret = totp.generateSecret();
+    await storage.updateAdminUser(user.id, { totp_secret: secret });
+    res.json({ success: true, secret, otpauthUrl: totp.otpauthUrl(secret, user.username) });
+  } catch (error) {
+    req.log.error('Error starting two-factor setup', { error });
+    res.status(500).json({ success: false, message: 'Error setting up two-factor authentication' });
+  }
+});
+
+// Turn two-factor on with a code from the new secret. Other sessions are signed out.
+app.post('/admin/api/me/totp/confirm', requireAdmin('support'), adminLoginLimiter, async (req, res) => {
+  try {
+    const user = await storage.getAdminUser(req.admin.adminUserId);
+    if (user.totp_enabled) {
+      return res.status(409).json({ success: false, message: 'Two-factor authentication is already on' });
+    }
+    if (!user.totp_secret) {
+      return res.status(400).json({ success: false, message: 'Start two-factor setup first' });
+    }
+
+    const step = totp.verifyCode(user.totp_secret, req.body.code);
+    if (step === null || !(await storage.useTotpStep(user.id, step))) {
+      return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+    }
+
+    await storage.updateAdminUser(user.id, { totp_enabled: true });
+    await storage.deleteAdminSessionsFor(user.id, req.admin.tokenHash);
+    req.log.info('Admin turned on two-factor authentication', { adminUserId: user.id });
+    await auditAdminAction(req, 'totp_enabled', { target: user.username });
+    res.json({ success: true });
+  } catch (error) {
+    req.log.error('Error confirming two-factor setup', { error });
+    res.status(500).json({ success: false, message: 'Error setting up two-factor authentication' });
+  }
+});
+
+// Turn two-factor off (needs a current code; owners can reset it for admins who lost theirs)
+app.delete('/admin/api/me/totp', requireAdmin('support'), adminLoginLimiter, async (req, res) => {
+  try {
+    const user = await storage.getAdminUser(req.admin.adminUserId);
+    if (!user.totp_enabled) {
+      return res.status(409).json({ success: false, message: 'Two-factor authentication is not on' });
+    }
+
+    const step = totp.verifyCode(user.totp_secret, req.body.code);
+    if (step === null || !(await storage.useTotpStep(user.id, step))) {
+      return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+    }
+
+    await storage.updateAdminUser(user.id, { totp_enabled: false, totp_secret: null, totp_last_step: null });
+    req.log.info('Admin turned off two-factor authentication', { adminUserId: user.id });
+    await auditAdminAction(req, 'totp_disabled', { target: user.username });
+    res.json({ success: true });
+  } catch (error) {
+    req.log.error('Error turning off two-factor authentication', { error });
+    res.status(500).json({ success: false, message: 'Error turning off two-factor authentication' });
+  }
+});
+
+// List admin accounts
+app.get('/admin/api/admins', requireAdmin('owner'), async (req, res) => {
+  try {
+    const admins = (await storage.listAdminUsers()).map(user => ({
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      totpEnabled: user.totp_enabled,
+      createdAt: user.created_at,
+      lastLoginAt: user.last_login_at
+    }));
+    res.json({ success: true, admins, roles: ADMIN_ROLES });
+  } catch (error) {
+    req.log.error('Error listing admin accounts', { error });
+    res.status(500).json({ success: false, message: 'Error loading admin accounts' });
+  }
+});
+
+// Add an admin account
+app.post('/admin/api/admins', requireAdmin('owner'), async (req, res) => {
+  const username = normalizeAdminUsername(req.body.username);
+  const { password, role } = req.body;
+
+  if (!/^[a-z0-9._-]{3,50}$/.test(username)) {
+    return res.status(400).json({
       success: false,
-      message: 'Admin password not configured'
+      message: 'Usernames are 3-50 letters, numbers, dots, dashes or underscores'
+    });
+  }
+  if (!ADMIN_ROLES.includes(role)) {
+    return res.status(400).json({ success: false, message: 'Invalid role' });
+  }
+  const passwordError = validateAdminPassword(password);
+  if (passwordError) {
+    return res.status(400).json({ success: false, message: passwordError });
+  }
+
+  try {
+    if (await storage.getAdminUserByName(username)) {
+      return res.status(409).json({ success: false, message: 'That username is taken' });
+    }
+
+    const id = await storage.createAdminUser(username, await hashPassword(password), role);
+    req.log.info('Admin account created', { adminUserId: id, role, createdBy: req.admin.adminUserId });
+    await auditAdminAction(req, 'admin_created', { target: username, details: { role } });
+    res.json({ success: true, id });
+  } catch (error) {
+    req.log.error('Error creating admin account', { error });
+    res.status(500).json({ success: false, message: 'Error creating admin account' });
+  }
+});
+
+// Resolves true when the account is the only owner left
+async function isLastOwner(user) {
+  if (user.role !== 'owner') {
+    return false;
+  }
+  const owners = (await storage.listAdminUsers()).filter(admin => admin.role === 'owner');
+  return owners.length <= 1;
+}
+
+// Change an admin's role, set a new password, or reset their two-factor
+// (e.g. after a lost phone). New passwords and resets sign them out.
+app.put('/admin/api/admins/:id', requireAdmin('owner'), async (req, res) => {
+  const { role, password, resetTotp } = req.body;
+
+  if (role !== undefined && !ADMIN_ROLES.includes(role)) {
+    return res.status(400).json({ success: false, message: 'Invalid role' });
+  }
+  if (password !== undefined) {
+    const passwordError = validateAdminPassword(password);
+    if (passwordError) {
+      return res.status(400).json({ success: false, message: passwordError });
+    }
+  }
+
+  try {
+    const user = /^\d+$/.test(req.params.id) ? await storage.getAdminUser(parseInt(req.params.id)) : null;
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'Admin account not found' });
+    }
+    if (role !== undefined && role !== 'owner' && await isLastOwner(user)) {
+      return res.status(409).json({ success: false, message: 'There must always be at least one owner' });
+    }
+
+    const changes = {};
+    if (role !== undefined) {
+      changes.role = role;
+    }
+    if (password !== undefined) {
+      changes.password_hash = await hashPassword(password);
+    }
+    if (resetTotp) {
+      Object.assign(changes, { totp_enabled: false, totp_secret: null, totp_last_step: null });
+    }
+
+    await storage.updateAdminUser(user.id, changes);
+    if (password !== undefined || resetTotp) {
+      await storage.deleteAdminSessionsFor(user.id, req.admin.tokenHash);
+    }
+
+    req.log.info('Admin account updated', {
+      adminUserId: user.id,
+      role: changes.role,
+      passwordReset: password !== undefined,
+      totpReset: Boolean(resetTotp),
+      updatedBy: req.admin.adminUserId
+    });
+    await auditAdminAction(req, 'admin_updated', {
+      target: user.username,
+      details: { role: changes.role, passwordReset: password !== undefined, totpReset: Boolean(resetTotp) }
+    });
+    res.json({ success: true });
+  } catch (error) {
+    req.log.error('Error updating admin account', { error });
+    res.status(500).json({ success: false, message: 'Error updating admin account' });
+  }
+});
+
+// Remove an admin account (its sessions end with it)
+app.delete('/admin/api/admins/:id', requireAdmin('owner'), async (req, res) => {
+  try {
+    const user = /^\d+$/.test(req.params.id) ? await storage.getAdminUser(parseInt(req.params.id)) : null;
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'Admin account not found' });
+    }
+    if (await isLastOwner(user)) {
+      return res.status(409).json({ success: false, message: 'There must always be at least one owner' });
+    }
+
+    await storage.deleteAdminUser(user.id);
+    req.log.info('Admin account removed', { adminUserId: user.id, removedBy: req.admin.adminUserId });
+    await auditAdminAction(req, 'admin_removed', { target: user.username, details: { role: user.role } });
+    res.json({ success: true });
+  } catch (error) {
+    req.log.error('Error removing admin account', { error });
+    res.status(500).json({ success: false, message: 'Error removing admin account' });
+  }
+});
+
+// Get system stats
+app.get('/admin/api/stats', requireAdmin('admin'), async (req, res) => {
+  try {
+    const todayStart = new Date();
+    todayStart.setHours(0, 0, 0, 0);
+
+    const groupCounts = await storage.getStats(todayStart);
+    const contactCounts = await storage.countContacts();
+
+    res.json({
+      success: true,
+      stats: {
+        totalGroups: groupCounts.groups,
+        totalUsers: groupCounts.users,
+        totalItems: groupCounts.items,
+        totalContacts: contactCounts.total,
+        newContacts: contactCounts.new,
+        groupsCreatedToday: groupCounts.createdSince
+      }
     });
+  } catch (error) {
+    req.log.error('Error getting stats', { error });
+    res.status(500).json({ success: false, message: 'Error loading stats' });
   }
+});
+
+// Analytics ranges are capped at two years
+const ANALYTICS_MAX_DAYS = 731;
+
+function formatLocalDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
 
-  if (password !== process.env.ADMIN_PASSWORD) {
-    console.log('❌ Failed admin login attempt');
-    return res.status(401).json({
-      success: false,
-      message: 'Invalid password'
-    });
+// Every period from `from` to `to`, so days or weeks without activity show as zero
+function listPeriods(from, to, interval) {
+  const periods = [];
+  const current = new Date(from);
+  if (interval === 'week') {
+    current.setDate(current.getDate() - ((current.getDay() + 6) % 7));
+  }
+  while (current < to) {
+    periods.push(formatLocalDate(current));
+    current.setDate(current.getDate() + (interval === 'week' ? 7 : 1));
   }
+  return periods;
+}
 
-  // Generate session token
-  const crypto = require('crypto');
-  const token = crypto.randomBytes(32).toString('hex');
-  const session = {
-    createdAt: Date.now(),
-    expiresAt: Date.now() + (2 * 60 * 60 * 1000) // 2 hours
-  };
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null);
 
-  adminSessions.set(token, session);
-  console.log('✅ Admin logged in');
+// Retention after `days` only means something for groups at least that old
+function isRetentionDue(period, interval, days) {
+  const due = new Date(`${period}T00:00:00`);
+  due.setDate(due.getDate() + (interval === 'week' ? 7 : 1) + days);
+  return due <= new Date();
+}
 
-  res.json({ success: true, token });
-});
+// Usage over time: groups created and active, items added, claims and
+// purchases per day or week, plus the holiday mix, average group size,
+// claim/purchase conversion and retention of the groups created in the range.
+// Query: from, to (YYYY-MM-DD, default the last 30 days), interval=day|week,
+// format=csv for the per-period table.
+app.get('/admin/api/analytics', requireAdmin('admin'), async (req, res) => {
+  const interval = req.query.interval === 'week' ? 'week' : 'day';
+  const dates = parseDateRange(req.query);
+  if (!dates) {
+    return res.status(400).json({ success: false, message: 'Dates must be YYYY-MM-DD' });
+  }
 
-// Admin logout
-app.post('/admin/api/logout', requireAdmin, (req, res) => {
-  const token = req.headers.authorization.substring(7);
-  adminSessions.delete(token);
-  console.log('✅ Admin logged out');
-  res.json({ success: true });
-});
+  const to = dates.to || new Date(new Date().setHours(24, 0, 0, 0));
+  const from = dates.from || new Date(new Date(to).setDate(to.getDate() - 30));
+  if (from >= to) {
+    return res.status(400).json({ success: false, message: 'The start date must be on or before the end date' });
+  }
+  if (to - from > ANALYTICS_MAX_DAYS * 24 * 60 * 60 * 1000) {
+    return res.status(400).json({ success: false, message: 'Please pick a range of at most two years' });
+  }
 
-// Get system stats
-app.get('/admin/api/stats', requireAdmin, async (req, res) => {
   try {
-    const groupsResult = await pool.query('SELECT COUNT(*) as count FROM groups');
-    const groupsCount = parseInt(groupsResult.rows[0].count);
+    const usage = await storage.getUsageAnalytics({ from, to, interval });
 
-    const allGroups = await pool.query('SELECT data FROM groups');
-    let totalUsers = 0;
-    let totalItems = 0;
+    const byPeriod = rows => new Map(rows.map(row => [formatLocalDate(new Date(row.period)), row]));
+    const created = byPeriod(usage.created);
+    const activity = byPeriod(usage.activity);
+    const retention = byPeriod(usage.retention);
+    const retained = (period, days, column) => (retention.has(period) && isRetentionDue(period, interval, days)
+      ? ratio(retention.get(period)[column], retention.get(period).groups)
+      : null);
 
-    allGroups.rows.forEach(row => {
-      const data = row.data;
-      if (data.users) {
-        totalUsers += Object.keys(data.users).length;
-        Object.values(data.users).forEach(user => {
-          totalItems += user.items?.length || 0;
-        });
-      }
-    });
+    const series = listPeriods(from, to, interval).map(period => ({
+      period,
+      groupsCreated: created.has(period) ? created.get(period).groups : 0,
+      activeGroups: activity.has(period) ? activity.get(period).active_groups : 0,
+      itemsAdded: activity.has(period) ? activity.get(period).items_added : 0,
+      claims: activity.has(period) ? activity.get(period).claims : 0,
+      purchases: activity.has(period) ? activity.get(period).purchases : 0,
+      retainedAfter7Days: retained(period, 7, 'active_after_7_days'),
+      retainedAfter30Days: retained(period, 30, 'active_after_30_days')
+    }));
 
-    const contactsResult = await pool.query(
-      "SELECT COUNT(*) as total, COUNT(*) FILTER (WHERE status = 'new') as new FROM contact_submissions"
-    );
+    if (req.query.format === 'csv') {
+      const columns = ['period', 'groupsCreated', 'activeGroups', 'itemsAdded', 'claims', 'purchases', 'retainedAfter7Days', 'retainedAfter30Days'];
+      const lines = [columns.join(',')];
+      for (const row of series) {
+        lines.push(columns.map(column => toCsvCell(row[column] === null ? '' : row[column])).join(','));
+      }
+      res.setHeader('Content-Disposition', `attachment; filename="analytics-${formatLocalDate(from)}-${interval}.csv"`);
+      res.type('text/csv').send(lines.join('\r\n') + '\r\n');
+      return;
+    }
 
-    const todayStart = new Date();
-    todayStart.setHours(0, 0, 0, 0);
-    const createdTodayResult = await pool.query(
-      'SELECT COUNT(*) as count FROM groups WHERE created_at >= $1',
-      [todayStart]
-    );
+    const { totals } = usage;
+    // Only cohorts old enough to have been measured count towards retention
+    const cohort = { groups7: 0, after7: 0, groups30: 0, after30: 0 };
+    for (const row of usage.retention) {
+      const period = formatLocalDate(new Date(row.period));
+      if (isRetentionDue(period, interval, 7)) {
+        cohort.groups7 += row.groups;
+        cohort.after7 += row.active_after_7_days;
+      }
+      if (isRetentionDue(period, interval, 30)) {
+        cohort.groups30 += row.groups;
+        cohort.after30 += row.active_after_30_days;
+      }
+    }
 
     res.json({
       success: true,
-      stats: {
-        totalGroups: groupsCount,
-        totalUsers,
-        totalItems,
-        totalContacts: parseInt(contactsResult.rows[0].total),
-        newContacts: parseInt(contactsResult.rows[0].new),
-        groupsCreatedToday: parseInt(createdTodayResult.rows[0].count)
+      from: formatLocalDate(from),
+      to: formatLocalDate(new Date(to.getTime() - 1)),
+      interval,
+      series,
+      holidays: usage.holidays.map(row => ({ holiday: row.holiday, groups: row.groups })),
+      averages: {
+        membersPerGroup: totals.groups > 0 ? Math.round((totals.members / totals.groups) * 10) / 10 : null,
+        itemsPerGroup: totals.groups > 0 ? Math.round((totals.items / totals.groups) * 10) / 10 : null
+      },
+      conversion: {
+        items: totals.items,
+        claimedItems: totals.claimed_items,
+        purchasedItems: totals.purchased_items,
+        claimRate: ratio(totals.claimed_items, totals.items),
+        purchaseRate: ratio(totals.purchased_items, totals.claimed_items)
+      },
+      retention: {
+        after7Days: ratio(cohort.after7, cohort.groups7),
+        after30Days: ratio(cohort.after30, cohort.groups30)
       }
     });
   } catch (error) {
-    console.error('Error getting stats:', error);
-    res.status(500).json({ success: false, message: 'Error loading stats' });
+    req.log.error('Error loading analytics', { error });
+    res.status(500).json({ success: false, message: 'Error loading analytics' });
   }
 });
 
 // List all groups (paginated, searchable)
-app.get('/admin/api/groups', requireAdmin, async (req, res) => {
+app.get('/admin/api/groups', requireAdmin('support'), async (req, res) => {
   try {
     const search = req.query.search || '';
     const page = parseInt(req.query.page) || 1;
     const limit = 20;
     const offset = (page - 1) * limit;
 
-    let query = 'SELECT group_id, data, created_at, updated_at FROM groups';
-    let params = [];
-
-    if (search) {
-      query += " WHERE data->>'groupName' ILIKE $1";
-      params.push(`%${search}%`);
-    }
-
-    query += ' ORDER BY updated_at DESC LIMIT $' + (params.length + 1) + ' OFFSET $' + (params.length + 2);
-    params.push(limit, offset);
+    // Either the live groups or the recently deleted ones that can still be restored
+    const showDeleted = req.query.deleted === 'true';
 
-    const result = await pool.query(query, params);
+    const rows = await storage.listGroups({ deleted: showDeleted, search, limit, offset });
 
-    const groups = result.rows.map(row => ({
+    const groups = rows.map(row => ({
       groupId: row.group_id,
       groupName: row.data.groupName,
       holiday: row.data.holiday,
       eventDate: row.data.eventDate,
-      userCount: Object.keys(row.data.users || {}).length,
-      itemCount: Object.values(row.data.users || {}).reduce((sum, user) => sum + (user.items?.length || 0), 0),
+      userCount: row.user_count,
+      itemCount: row.item_count,
       createdAt: row.created_at,
-      updatedAt: row.updated_at
+      updatedAt: row.updated_at,
+      deletedAt: row.deleted_at,
+      deletedBy: row.deleted_by
     }));
 
     res.json({ success: true, groups });
   } catch (error) {
-    console.error('Error listing groups:', error);
+    req.log.error('Error listing groups', { error });
     res.status(500).json({ success: false, message: 'Error loading groups' });
   }
 });
 
 // Get specific group (for observer mode)
-app.get('/admin/api/groups/:groupId', requireAdmin, async (req, res) => {
+app.get('/admin/api/groups/:groupId', requireAdmin('support'), async (req, res) => {
   try {
     const groupId = req.params.groupId;
-    const result = await pool.query('SELECT data FROM groups WHERE group_id = $1', [groupId]);
+    const group = await storage.getGroup(groupId, { includeDeleted: true });
 
-    if (result.rows.length === 0) {
+    if (!group) {
       return res.status(404).json({ success: false, message: 'Group not found' });
     }
 
-    res.json({ success: true, data: result.rows[0].data });
+    await auditAdminAction(req, req.query.export === 'json' ? 'group_exported' : 'group_viewed', { target: groupId });
+    res.json({ success: true, data: toPublicGroupData(group.data, FULL_VIEW) });
   } catch (error) {
-    console.error('Error loading group:', error);
+    req.log.error('Error loading group', { error });
     res.status(500).json({ success: false, message: 'Error loading group' });
   }
 });
 
-// Delete group
-app.delete('/admin/api/groups/:groupId', requireAdmin, async (req, res) => {
+// Get a group's full activity log (observer view)
+app.get('/admin/api/groups/:groupId/history', requireAdmin('support'), async (req, res) => {
+  try {
+    const entries = await getGroupActivity(req.params.groupId, null);
+    await auditAdminAction(req, 'group_history_viewed', { target: req.params.groupId });
+    res.json({ success: true, entries });
+  } catch (error) {
+    req.log.error('Error loading history', { error });
+    res.status(500).json({ success: false, message: 'Error loading history' });
+  }
+});
+
+// Delete group (soft delete; ?permanent=true removes an already deleted group for good)
+app.delete('/admin/api/groups/:groupId', requireAdmin('admin'), async (req, res) => {
   try {
     const groupId = req.params.groupId;
-    await pool.query('DELETE FROM groups WHERE group_id = $1', [groupId]);
-    console.log(`🗑️ Admin deleted group: ${groupId}`);
-    res.json({ success: true });
+
+    if (req.query.permanent === 'true') {
+      const group = await storage.getGroup(groupId, { includeDeleted: true });
+      if (group && group.deleted_at) {
+        await archiveGroup(group, 'purged');
+      }
+
+      const purged = await storage.purgeGroup(groupId);
+      if (!purged) {
+        return res.status(404).json({ success: false, message: 'Deleted group not found' });
+      }
+      req.log.info('Admin permanently deleted group', { groupId });
+      await auditAdminAction(req, 'group_purged', { target: groupId });
+      return res.json({ success: true });
+    }
+
+    const deleted = await softDeleteGroup(groupId, `admin:${req.admin.username}`);
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+    req.log.info('Admin deleted group', { groupId });
+    await auditAdminAction(req, 'group_deleted', { target: groupId });
+    res.json({ success: true, recoveryDays: DELETED_GROUP_RECOVERY_DAYS });
   } catch (error) {
-    console.error('Error deleting group:', error);
+    req.log.error('Error deleting group', { error });
     res.status(500).json({ success: false, message: 'Error deleting group' });
   }
 });
 
-// List contact submissions
-app.get('/admin/api/contacts', requireAdmin, async (req, res) => {
+// Issue the tokens a member is missing (admin only), e.g. for the creator of
+// a group made before tokens existed, who can't claim their name by joining.
+// The creator also gets their creator token.
+app.post('/admin/api/groups/:groupId/users/:username/link', requireAdmin('admin'), async (req, res) => {
+  const { groupId, username } = req.params;
+
+  try {
+    const group = await storage.getGroup(groupId);
+    if (!group) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    const user = getUser(group.data, username);
+    if (!user || user.managedBy) {
+      return res.status(404).json({ success: false, message: 'Member not found' });
+    }
+
+    const roles = await storage.getMemberTokenRoles(groupId, username);
+    const tokens = {};
+    if (!roles.includes('member')) {
+      tokens.memberToken = await issueMemberToken(storage, groupId, username, 'member');
+    }
+    if (group.data.createdBy === username && !roles.includes('creator')) {
+      tokens.creatorToken = await issueMemberToken(storage, groupId, username, 'creator');
+    }
+    if (Object.keys(tokens).length === 0) {
+      return res.status(409).json({ success: false, message: 'This member already has their tokens' });
+    }
+
+    req.log.info('Admin issued member tokens', { groupId, roles: Object.keys(tokens) });
+    await auditAdminAction(req, 'member_link_issued', { target: groupId, details: { member: username } });
+    res.json({ success: true, ...tokens });
+  } catch (error) {
+    req.log.error('Error issuing member tokens', { error });
+    res.status(500).json({ success: false, message: 'Error issuing member tokens' });
+  }
+});
+
+// Restore a deleted group
+app.post('/admin/api/groups/:groupId/restore', requireAdmin('admin'), async (req, res) => {
+  try {
+    const groupId = req.params.groupId;
+    const restored = await storage.restoreGroup(groupId);
+
+    if (!restored) {
+      return res.status(404).json({ success: false, message: 'Deleted group not found' });
+    }
+
+    req.log.info('Admin restored group', { groupId });
+    await auditAdminAction(req, 'group_restored', { target: groupId });
+    res.json({ success: true });
+  } catch (error) {
+    req.log.error('Error restoring group', { error });
+    res.status(500).json({ success: false, message: 'Error restoring group' });
+  }
+});
+
+// Helper function to read ?page= and ?limit= for a paged admin list. Both are
+// clamped, since Postgres rejects a negative (or enormous) offset.
+function parsePaging(query, defaultLimit, maxLimit = 100) {
+  const page = Math.min(10000, Math.max(1, parseInt(query.page, 10) || 1));
+  const limit = Math.min(maxLimit, Math.max(1, parseInt(query.limit, 10) || defaultLimit));
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+// List contact submissions, newest first, 50 per page (?limit= up to 100).
+// ?status= picks one status (without it: everything but spam and archived)
+// and ?search= matches the name, email and message.
+app.get('/admin/api/contacts', requireAdmin('support'), async (req, res) => {
+  const status = typeof req.query.status === 'string' ? req.query.status : '';
+  const search = typeof req.query.search === 'string' ? req.query.search.trim().substring(0, 100) : '';
+  const { limit, offset } = parsePaging(req.query, 50);
+
+  if (status && !CONTACT_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, message: 'Unknown status' });
+  }
+
   try {
-    const result = await pool.query(
-      'SELECT * FROM contact_submissions ORDER BY submitted_at DESC'
-    );
-    res.json({ success: true, contacts: result.rows });
+    const contacts = await storage.listContacts({ status, search, limit, offset });
+    res.json({ success: true, statuses: CONTACT_STATUSES, contacts });
   } catch (error) {
-    console.error('Error loading contacts:', error);
+    req.log.error('Error loading contacts', { error });
     res.status(500).json({ success: false, message: 'Error loading contacts' });
   }
 });
 
-// Update contact submission status
-app.put('/admin/api/contacts/:id', requireAdmin, async (req, res) => {
+// One submission with the replies sent to it. Opening a new message marks it read.
+app.get('/admin/api/contacts/:id', requireAdmin('support'), async (req, res) => {
+  try {
+    const contact = /^\d+$/.test(req.params.id) ? await storage.getContact(parseInt(req.params.id)) : null;
+    if (!contact) {
+      return res.status(404).json({ success: false, message: 'Contact submission not found' });
+    }
+
+    if (contact.status === 'new') {
+      await storage.updateContact(contact.id, { status: 'read' });
+      contact.status = 'read';
+    }
+
+    const replies = await storage.listContactReplies(contact.id);
+    res.json({ success: true, contact, replies });
+  } catch (error) {
+    req.log.error('Error loading contact', { error });
+    res.status(500).json({ success: false, message: 'Error loading contact' });
+  }
+});
+
+// Update a submission's status and/or admin notes; fields left out are kept
+app.put('/admin/api/contacts/:id', requireAdmin('support'), async (req, res) => {
+  const { status, adminNotes } = req.body;
+
+  if (status !== undefined && !CONTACT_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, message: 'Unknown status' });
+  }
+  if (adminNotes !== undefined && adminNotes !== null && typeof adminNotes !== 'string') {
+    return res.status(400).json({ success: false, message: 'Notes must be text' });
+  }
+
   try {
-    const { id } = req.params;
-    const { status, adminNotes } = req.body;
+    const id = /^\d+$/.test(req.params.id) ? parseInt(req.params.id) : null;
+    const changes = {};
+    if (status !== undefined) changes.status = status;
+    if (adminNotes !== undefined) changes.admin_notes = adminNotes ? adminNotes.substring(0, 2000) : null;
 
-    await pool.query(
-      'UPDATE contact_submissions SET status = $1, admin_notes = $2 WHERE id = $3',
-      [status, adminNotes || null, id]
-    );
+    if (id === null || !await storage.updateContact(id, changes)) {
+      return res.status(404).json({ success: false, message: 'Contact submission not found' });
+    }
+    await auditAdminAction(req, 'contact_updated', {
+      target: String(id),
+      details: { status, notesChanged: adminNotes !== undefined }
+    });
 
     res.json({ success: true });
   } catch (error) {
-    console.error('Error updating contact:', error);
+    req.log.error('Error updating contact', { error });
     res.status(500).json({ success: false, message: 'Error updating contact' });
   }
 });
 
-// Manual cleanup trigger
-app.post('/admin/api/cleanup', requireAdmin, async (req, res) => {
+// Email a reply to the sender. The reply is only stored once it has been
+// sent, and the submission moves to 'replied'.
+app.post('/admin/api/contacts/:id/replies', requireAdmin('support'), async (req, res) => {
+  const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+
+  if (!message) {
+    return res.status(400).json({ success: false, message: 'Reply message is required' });
+  }
+  if (message.length > 5000) {
+    return res.status(400).json({ success: false, message: 'Reply is too long' });
+  }
+
+  try {
+    const contact = /^\d+$/.test(req.params.id) ? await storage.getContact(parseInt(req.params.id)) : null;
+    if (!contact) {
+      return res.status(404).json({ success: false, message: 'Contact submission not found' });
+    }
+
+    try {
+      await sendEmail({
+        to: contact.email,
+        subject: 'Re: your message to ComeGiftIt',
+        text: `Hi ${contact.name},\n\n${message}\n\n` +
+          `---\nYou wrote on ${new Date(contact.submitted_at).toISOString().slice(0, 10)}:\n\n` +
+          contact.message.split('\n').map(line => `> ${line}`).join('\n') + '\n'
+      });
+    } catch (error) {
+      req.log.error('Error sending contact reply', { error });
+      return res.status(502).json({ success: false, message: 'The reply could not be sent' });
+    }
+
+    await storage.addContactReply(contact.id, { adminUsername: req.admin.username, message });
+    await storage.updateContact(contact.id, { status: 'replied' });
+    await auditAdminAction(req, 'contact_replied', { target: String(contact.id) });
+
+    res.json({ success: true, replies: await storage.listContactReplies(contact.id) });
+  } catch (error) {
+    req.log.error('Error replying to contact', { error });
+    res.status(500).json({ success: false, message: 'Error replying to contact' });
+  }
+});
+
+// Dry run: the retention policy and the groups a cleanup would remove now
+app.get('/admin/api/cleanup', requireAdmin('admin'), async (req, res) => {
+  try {
+    const groups = await listExpiredGroups();
+    res.json({
+      success: true,
+      retentionDays: DATA_RETENTION_DAYS,
+      recoveryDays: DELETED_GROUP_RECOVERY_DAYS,
+      warningDays: RETENTION_WARNING_DAYS,
+      groups
+    });
+  } catch (error) {
+    req.log.error('Error previewing cleanup', { error });
+    res.status(500).json({ success: false, message: 'Error previewing cleanup' });
+  }
+});
+
+// Manual cleanup trigger (the same run as the daily schedule)
+app.post('/admin/api/cleanup', requireAdmin('admin'), async (req, res) => {
   try {
-    const result = await pool.query(
-      "DELETE FROM groups WHERE updated_at < NOW() - INTERVAL '2 years'"
-    );
-    console.log(`🧹 Admin triggered cleanup: ${result.rowCount} groups deleted`);
-    res.json({ success: true, deletedCount: result.rowCount });
+    const result = await runRetention();
+    req.log.info('Admin triggered cleanup', result);
+    await auditAdminAction(req, 'cleanup', { details: result });
+    res.json({ success: true, ...result });
   } catch (error) {
-    console.error('Error running cleanup:', error);
+    req.log.error('Error running cleanup', { error });
     res.status(500).json({ success: false, message: 'Error running cleanup' });
   }
 });
 
+// Manually send any reminders that are due
+app.post('/admin/api/reminders', requireAdmin('admin'), async (req, res) => {
+  const sent = await sendReminders();
+  req.log.info('Admin triggered reminders', { sentCount: sent });
+  await auditAdminAction(req, 'reminders_sent', { details: { sentCount: sent } });
+  res.json({ success: true, sentCount: sent });
+});
+
+// Helper function to read optional from/to query dates (YYYY-MM-DD, both
+// inclusive) as local midnights, with `to` moved to the start of the next day.
+// Returns null when either is malformed.
+function parseDateRange(query) {
+  const dates = {};
+  for (const key of ['from', 'to']) {
+    const value = query[key];
+    if (value === undefined || value === '') continue;
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value))) {
+      return null;
+    }
+    dates[key] = new Date(`${value}T00:00:00`);
+  }
+  if (dates.to) {
+    dates.to.setDate(dates.to.getDate() + 1);
+  }
+  return dates;
+}
+
+// Audit log, newest first. Filters: action, admin (part of a username), from
+// and to (YYYY-MM-DD, both inclusive). ?format=csv downloads every match.
+app.get('/admin/api/audit', requireAdmin('owner'), async (req, res) => {
+  const action = typeof req.query.action === 'string' ? req.query.action : '';
+  const admin = typeof req.query.admin === 'string' ? req.query.admin.substring(0, 100) : '';
+  const { limit, offset } = parsePaging(req.query, 50, 50);
+
+  if (action && !ADMIN_AUDIT_ACTIONS.includes(action)) {
+    return res.status(400).json({ success: false, message: 'Unknown action' });
+  }
+
+  const dates = parseDateRange(req.query);
+  if (!dates) {
+    return res.status(400).json({ success: false, message: 'Dates must be YYYY-MM-DD' });
+  }
+
+  try {
+    const filters = { action, admin, from: dates.from || null, to: dates.to || null };
+
+    if (req.query.format === 'csv') {
+      const entries = await storage.listAdminAuditEntries({ ...filters, limit: 10000 });
+      const lines = [['time', 'admin', 'action', 'target', 'ip', 'details'].join(',')];
+      for (const entry of entries) {
+        lines.push([
+          new Date(entry.created_at).toISOString(),
+          entry.admin_username,
+          entry.action,
+          entry.target,
+          entry.ip,
+          entry.details ? JSON.stringify(entry.details) : ''
+        ].map(toCsvCell).join(','));
+      }
+
+      await auditAdminAction(req, 'audit_exported', { details: { ...filters, count: entries.length } });
+      res.setHeader('Content-Disposition', 'attachment; filename="admin-audit-log.csv"');
+      res.type('text/csv').send(lines.join('\r\n') + '\r\n');
+      return;
+    }
+
+    const entries = await storage.listAdminAuditEntries({ ...filters, limit, offset });
+    res.json({
+      success: true,
+      actions: ADMIN_AUDIT_ACTIONS,
+      entries: entries.map(entry => ({
+        id: entry.id,
+        admin: entry.admin_username,
+        action: entry.action,
+        target: entry.target,
+        details: entry.details,
+        ip: entry.ip,
+        createdAt: entry.created_at
+      }))
+    });
+  } catch (error) {
+    req.log.error('Error loading audit log', { error });
+    res.status(500).json({ success: false, message: 'Error loading audit log' });
+  }
+});
+
 // Serve admin page
 app.get('/admin', (req, res) => {
   res.sendFile(path.join(__dirname, 'admin.html'));
@@ -706,23 +4114,363 @@ app.get('/admin', (req, res) => {
 
 // ===== END ADMIN ENDPOINTS =====
 
-// Cleanup old groups (optional - runs once when server starts)
-async function cleanupOldGroups() {
+// ===== DATA RETENTION =====
+// Groups not updated for DATA_RETENTION_DAYS (default 730; 0 keeps them
+// forever) are removed, along with deleted groups past their recovery window.
+// Each one is first archived to RETENTION_ARCHIVE_DIR as gzipped JSON, and
+// creators with a reminder email are warned RETENTION_WARNING_DAYS ahead
+// (default 14; 0 turns warnings off). The check runs at startup and daily.
+
+function envDays(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0) {
+    throw new Error(`${name} must be a whole number of days`);
+  }
+  return days;
+}
+
+const DATA_RETENTION_DAYS = envDays('DATA_RETENTION_DAYS', 730);
+const RETENTION_WARNING_DAYS = envDays('RETENTION_WARNING_DAYS', 14);
+const RETENTION_ARCHIVE_DIR = process.env.RETENTION_ARCHIVE_DIR || path.join(__dirname, 'archives');
+const RETENTION_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const gzip = promisify(zlib.gzip);
+
+// The dates a group must have been updated or deleted before to be removed now
+function retentionCutoffs(now = Date.now()) {
+  return {
+    updatedBefore: DATA_RETENTION_DAYS > 0 ? new Date(now - DATA_RETENTION_DAYS * DAY_MS) : null,
+    deletedBefore: new Date(now - DELETED_GROUP_RECOVERY_DAYS * DAY_MS)
+  };
+}
+
+// Groups the next cleanup would remove, for the dashboard's dry run
+async function listExpiredGroups() {
+  const rows = await storage.listExpiredGroups(retentionCutoffs());
+  const { deletedBefore } = retentionCutoffs();
+
+  return rows.map(row => ({
+    groupId: row.group_id,
+    groupName: row.data.groupName,
+    userCount: row.user_count,
+    itemCount: row.item_count,
+    updatedAt: row.updated_at,
+    deletedAt: row.deleted_at,
+    reason: row.deleted_at && row.deleted_at < deletedBefore ? 'deleted' : 'inactive'
+  }));
+}
+
+// Write a group, members, past events and all, to the archive directory.
+// Resolves to the file's path.
+async function archiveGroup(group, reason) {
+  const pastEvents = [];
+  for (const { id } of await storage.listPastEvents(group.group_id)) {
+    pastEvents.push(await storage.getPastEvent(group.group_id, id));
+  }
+
+  const archive = {
+    groupId: group.group_id,
+    reason,
+    archivedAt: new Date().toISOString(),
+    revision: group.revision,
+    createdAt: group.created_at,
+    updatedAt: group.updated_at,
+    deletedAt: group.deleted_at,
+    deletedBy: group.deleted_by,
+    data: group.data,
+    pastEvents
+  };
+
+  const file = path.join(RETENTION_ARCHIVE_DIR, `${group.group_id}-${Date.now()}.json.gz`);
+  await fs.promises.mkdir(RETENTION_ARCHIVE_DIR, { recursive: true });
+  await fs.promises.writeFile(file, await gzip(JSON.stringify(archive)));
+  return file;
+}
+
+// Email each creator whose group will expire within RETENTION_WARNING_DAYS,
+// once per period of inactivity. Resolves to the number of warnings sent.
+async function sendRetentionWarnings() {
+  if (DATA_RETENTION_DAYS === 0 || RETENTION_WARNING_DAYS === 0) {
+    return 0;
+  }
+
+  const rows = await storage.listExpiredGroups({
+    updatedBefore: new Date(Date.now() - (DATA_RETENTION_DAYS - RETENTION_WARNING_DAYS) * DAY_MS)
+  });
+  const { updatedBefore } = retentionCutoffs();
+  let sent = 0;
+
+  for (const row of rows) {
+    const creator = row.data.createdBy;
+    // Groups already past the cutoff are removed in this same run
+    if (row.deleted_at || !creator || row.updated_at < updatedBefore) continue;
+
+    try {
+      const contact = await storage.getMemberEmail(row.group_id, creator);
+      if (!contact) continue;
+
+      const expiresAt = new Date(new Date(row.updated_at).getTime() + DATA_RETENTION_DAYS * DAY_MS);
+      const language = row.data.language;
+      const reminder = {
+        kind: `retention:${new Date(row.updated_at).toISOString()}`,
+        subject: translate(language, '{group} will be deleted soon', { group: row.data.groupName }),
+        text: translate(language, 'Hi {name},', { name: creator }) + '\n\n' +
+          translate(language, '{group} hasn\'t been used since {lastUsed} and will be deleted on or after {expires}. Any change to the group keeps it for another {days} days:', {
+            group: row.data.groupName,
+            lastUsed: formatEmailDate(language, row.updated_at),
+            expires: formatEmailDate(language, expiresAt),
+            days: DATA_RETENTION_DAYS
+          }) + `\n\n${APP_URL}/#${row.group_id}\n`
+      };
+
+      if (await sendReminderOnce({ group_id: row.group_id, username: creator, email: contact.email }, reminder)) {
+        sent++;
+      }
+    } catch (error) {
+      logger.error('Error sending retention warning', { groupId: row.group_id, error });
+    }
+  }
+
+  return sent;
+}
+
+// Archive and remove every expired group. A group that can't be archived is
+// left in place and tried again next time.
+async function removeExpiredGroups() {
+  const counts = { deletedCount: 0, purgedCount: 0 };
+
+  for (const expired of await listExpiredGroups()) {
+    try {
+      const group = await storage.getGroup(expired.groupId, { includeDeleted: true });
+      if (!group) continue;
+
+      const file = await archiveGroup(group, expired.reason);
+      if (await storage.deleteExpiredGroup(expired.groupId, retentionCutoffs())) {
+        counts[expired.reason === 'deleted' ? 'purgedCount' : 'deletedCount']++;
+      } else {
+        // Changed since it was listed, so it's no longer expired
+        await fs.promises.unlink(file);
+      }
+    } catch (error) {
+      logger.error('Error removing expired group', { groupId: expired.groupId, error });
+    }
+  }
+
+  return counts;
+}
+
+// Runs one at a time; a run requested while another is going shares its result
+let retentionRun = null;
+
+function runRetention() {
+  if (!retentionRun) {
+    retentionRun = (async () => {
+      const warnedCount = await sendRetentionWarnings();
+      const counts = await removeExpiredGroups();
+      await storage.deleteExpiredAdminSessions();
+
+      if (warnedCount > 0 || counts.deletedCount > 0 || counts.purgedCount > 0) {
+        logger.info('Applied data retention', { ...counts, warnedCount });
+      }
+      return { ...counts, warnedCount };
+    })().finally(() => {
+      retentionRun = null;
+    });
+  }
+  return retentionRun;
+}
+
+// Scheduled runs log failures instead of throwing
+async function scheduledRetention() {
   try {
-    // Delete groups older than 2 years
-    const result = await pool.query(
-      "DELETE FROM groups WHERE updated_at < NOW() - INTERVAL '2 years'"
-    );
-    if (result.rowCount > 0) {
-      console.log(`✅ Cleaned up ${result.rowCount} old groups`);
+    await runRetention();
+  } catch (error) {
+    logger.error('Error applying data retention', { error });
+  }
+}
+
+// ===== END DATA RETENTION =====
+
+// Outgoing email: reminders, digests and contact form replies
+// Transports take a message { to, subject, text } and deliver it. Choose one
+// with EMAIL_TRANSPORT: 'smtp' (uses EMAIL_USER/EMAIL_PASS), 'file' (appends
+// to EMAIL_FILE) or 'console'. Defaults to SMTP when credentials are set.
+const emailTransports = {
+  smtp() {
+    const port = Number(process.env.EMAIL_PORT) || 465;
+    const transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST || 'smtp.gmail.com',
+      port,
+      secure: port === 465,
+      auth: { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+    });
+    return message => transporter.sendMail({ from: process.env.EMAIL_FROM || process.env.EMAIL_USER, ...message });
+  },
+  file() {
+    const file = process.env.EMAIL_FILE || path.join(__dirname, 'emails.log');
+    return message => fs.promises.appendFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n');
+  },
+  console() {
+    // Goes through the logger, so the recipient and body are redacted; use
+    // the file transport to read the emails themselves
+    return async message => {
+      logger.info('Email', { subject: message.subject, to: message.to, text: message.text });
+    };
+  }
+};
+
+const emailTransportName = process.env.EMAIL_TRANSPORT ||
+  (process.env.EMAIL_USER && process.env.EMAIL_PASS ? 'smtp' : 'console');
+if (!emailTransports[emailTransportName]) {
+  throw new Error(`Unknown EMAIL_TRANSPORT: ${emailTransportName}`);
+}
+const sendEmail = emailTransports[emailTransportName]();
+
+const APP_URL = process.env.APP_URL || `http://localhost:${PORT}`;
+const REMINDER_INTERVAL_MS = 60 * 60 * 1000; // Check for due reminders hourly
+const CLAIM_REMINDER_DAYS = 21; // "3 weeks to go" reminder
+const THANK_YOU_REMINDER_DAYS = 14; // Don't send thank-you reminders for long-past events
+const DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Emails are written in the group's language, with dates like "December 25, 2026"
+function formatEmailDate(language, date) {
+  return new Date(date).toLocaleDateString(language || I18n.DEFAULT_LANGUAGE, { dateStyle: 'long', timeZone: 'UTC' });
+}
+
+// Work out which one-off reminders are due for a member. Like the app, these
+// never say anything about claims on the member's own wishlist until the
+// event has passed (the same rule as "Who Do I Thank?").
+function getDueReminders(data, username, groupId) {
+  const reminders = [];
+  if (!data.eventDate) {
+    return reminders;
+  }
+
+  const link = `${APP_URL}/#${groupId}`;
+  const language = data.language;
+  const greeting = translate(language, 'Hi {name},', { name: username });
+  const daysUntil = Math.ceil((new Date(data.eventDate) - new Date()) / (1000 * 60 * 60 * 24));
+  const otherUsers = Object.entries(data.users).filter(([name]) => name !== username);
+
+  if (daysUntil > 0 && daysUntil <= CLAIM_REMINDER_DAYS) {
+    const hasClaimed = otherUsers.some(([, user]) => user.items.some(item => item.claimedBy.includes(username)));
+    const hasWishes = otherUsers.some(([, user]) => user.items.length > 0);
+
+    if (!hasClaimed && hasWishes) {
+      reminders.push({
+        kind: `claim:${data.eventDate}`,
+        subject: translate(language, '{days} days until {group}', { days: daysUntil, group: data.groupName }),
+        text: `${greeting}\n\n` +
+          translate(language, '{group} is {days} days away and you haven\'t claimed any gifts yet. Take a look at everyone\'s wishlists and claim something before it\'s gone:', {
+            group: data.groupName,
+            days: daysUntil
+          }) + `\n\n${link}\n`
+      });
+    }
+  }
+
+  if (daysUntil <= 0 && daysUntil > -THANK_YOU_REMINDER_DAYS) {
+    const received = data.users[username].items.filter(item => item.purchased && item.claimedBy.length > 0);
+
+    if (received.length > 0) {
+      const lines = received.map(item => `- ${item.description}: ${item.claimedBy.join(', ')}`);
+      reminders.push({
+        kind: `thank-you:${data.eventDate}`,
+        subject: translate(language, 'Who to thank for {group}', { group: data.groupName }),
+        text: `${greeting}\n\n` +
+          translate(language, '{group} has passed - time for thank-you notes! Here\'s who got you what:', { group: data.groupName }) +
+          `\n\n${lines.join('\n')}\n\n${link}\n`
+      });
     }
+  }
+
+  return reminders;
+}
+
+// Send a one-off reminder unless this member already got it. Resolves to
+// whether an email went out.
+async function sendReminderOnce(subscriber, reminder) {
+  const marked = await storage.markReminderSent(subscriber.group_id, subscriber.username, reminder.kind);
+  if (!marked) {
+    return false;
+  }
+
+  try {
+    await sendEmail({ to: subscriber.email, subject: reminder.subject, text: reminder.text });
   } catch (error) {
-    console.error('Error cleaning up old groups:', error);
+    // Try again next time
+    await storage.unmarkReminderSent(subscriber.group_id, subscriber.username, reminder.kind);
+    throw error;
+  }
+  return true;
+}
+
+// Send a digest of items added to the lists a member follows. Only new wish
+// descriptions are included, never claims.
+async function sendDigest(subscriber, data) {
+  const lastDigestAt = new Date(subscriber.last_digest_at);
+  if (Date.now() - lastDigestAt.getTime() < DIGEST_INTERVAL_MS) {
+    return;
+  }
+
+  const following = (subscriber.following || []).filter(name => name !== subscriber.username && data.users[name]);
+  const added = await storage.listItemsAddedSince(subscriber.group_id, lastDigestAt);
+
+  const lines = [];
+  for (const row of added) {
+    if (!following.includes(row.target_user)) continue;
+    const item = data.users[row.target_user].items.find(candidate => candidate.id === row.item_id);
+    if (item) {
+      lines.push(`- ${row.target_user}: ${item.description}`);
+    }
+  }
+
+  if (lines.length > 0) {
+    await sendEmail({
+      to: subscriber.email,
+      subject: translate(data.language, 'New wishlist items in {group}', { group: data.groupName }),
+      text: translate(data.language, 'Hi {name},', { name: subscriber.username }) + '\n\n' +
+        translate(data.language, 'Here\'s what\'s new on the wishlists you follow:') +
+        `\n\n${lines.join('\n')}\n\n${APP_URL}/#${subscriber.group_id}\n`
+    });
   }
+
+  await storage.setLastDigestAt(subscriber.group_id, subscriber.username, new Date());
 }
 
-// Run cleanup on startup
-cleanupOldGroups();
+// Send every reminder and digest that is due
+async function sendReminders() {
+  let sent = 0;
+
+  try {
+    const subscribers = await storage.listReminderSubscribers();
+
+    for (const subscriber of subscribers) {
+      const data = sanitizeGroupData(subscriber.data);
+      if (!data.users[subscriber.username]) continue;
+
+      try {
+        for (const reminder of getDueReminders(data, subscriber.username, subscriber.group_id)) {
+          if (await sendReminderOnce(subscriber, reminder)) {
+            sent++;
+          }
+        }
+        await sendDigest(subscriber, data);
+      } catch (error) {
+        logger.error('Error sending reminders', { groupId: subscriber.group_id, error });
+      }
+    }
+  } catch (error) {
+    logger.error('Error sending reminders', { error });
+  }
+
+  return sent;
+}
 
 // Redirect old filename to new filename (backward compatibility)
 app.get('/christmas-gift-exchange.html', (req, res) => {
@@ -733,20 +4481,52 @@ app.get('/christmas-gift-exchange-fixed.html', (req, res) => {
   res.redirect(301, '/');
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`\n🎄 ComeGiftIt - Gift Exchange App`);
-  console.log(`✅ Server running on port ${PORT}`);
-  console.log(`✅ Security features enabled`);
-  console.log(`✅ Data retention: 2 years`);
-  console.log(`⚠️  Contact form logs to console (email not configured)`);
-});
+// The first owner account is created from ADMIN_USERNAME (default "admin") and
+// ADMIN_PASSWORD. Once any admin account exists both are ignored.
+async function ensureAdminAccount() {
+  if (await storage.countAdminUsers() > 0) {
+    return;
+  }
+  if (!process.env.ADMIN_PASSWORD) {
+    logger.warn('No admin accounts yet - set ADMIN_PASSWORD to create the first owner');
+    return;
+  }
+
+  const username = normalizeAdminUsername(process.env.ADMIN_USERNAME || 'admin');
+  await storage.createAdminUser(username, await hashPassword(process.env.ADMIN_PASSWORD), 'owner');
+  logger.info('Created the first admin account', { role: 'owner' });
+}
+
+// Run directly (npm start) to listen once the database schema is up to date
+// (pending migrations run first), then start the background jobs; the tests
+// require the app instead and listen on a port of their own
+if (require.main === module) {
+  storage.init().then(ensureAdminAccount).then(() => {
+    app.listen(PORT, () => {
+      logger.info('ComeGiftIt server started', {
+        port: Number(PORT),
+        storage: storage.name,
+        dataRetention: DATA_RETENTION_DAYS ? `${DATA_RETENTION_DAYS} days` : 'forever',
+        reminderEmails: emailTransportName
+      });
+    });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM signal received: closing HTTP server');
-  pool.end(() => {
-    console.log('Database pool closed');
-    process.exit(0);
+    scheduledRetention();
+    setInterval(scheduledRetention, RETENTION_INTERVAL_MS);
+    setInterval(sendReminders, REMINDER_INTERVAL_MS);
+  }).catch(error => {
+    logger.error('Database initialization failed, not starting the server', { error });
+    process.exit(1);
   });
-});
+
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    logger.info('SIGTERM signal received: closing HTTP server');
+    storage.close().then(() => {
+      logger.info('Storage closed');
+      process.exit(0);
+    });
+  });
+}
+
+module.exports = { app, storage, toPublicGroupData, parsePastedList, parseImport };
@@ -0,0 +1,21 @@
+// Storage backends. Every read and write of groups, member tokens, activity,
+// past events, reminder emails, contact submissions and admin sessions goes
+// through the object returned here. STORAGE picks the backend: 'postgres'
+// (the default, configured with DATABASE_URL) or 'memory' (no database needed).
+const createPostgresStorage = require('./postgres');
+const createMemoryStorage = require('./memory');
+
+const backends = {
+  postgres: createPostgresStorage,
+  memory: createMemoryStorage
+};
+
+function createStorage(type = process.env.STORAGE || 'postgres') {
+  const createBackend = backends[type];
+  if (!createBackend) {
+    throw new Error(`Unknown STORAGE "${type}" (expected one of: ${Object.keys(backends).join(', ')})`);
+  }
+  return createBackend();
+}
+
+module.exports = { createStorage };
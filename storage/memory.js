@@ -0,0 +1,684 @@
+// In-memory storage (STORAGE=memory). Everything lives in this process and is
+// lost on restart - meant for local development and automated tests, where
+// no database service is available. Rows have the same shape as the
+// PostgreSQL backend returns.
+
+const logger = require('../logger');
+
+const ADMIN_USER_COLUMNS = ['password_hash', 'role', 'totp_secret', 'totp_enabled', 'totp_last_step', 'last_login_at'];
+const CONTACT_COLUMNS = ['status', 'admin_notes'];
+
+// Rows are copied in and out so callers can't change stored data by accident
+const copy = value => (value === undefined ? undefined : structuredClone(value));
+
+function createMemoryStorage() {
+  const groups = new Map(); // groupId -> row
+  const memberTokens = new Map(); // tokenHash -> { group_id, username, role, created_at }
+  const activity = []; // group_activity rows, oldest first
+  const pastEvents = []; // group_past_events rows, oldest first
+  const memberEmails = new Map(); // `${groupId}\n${username}` -> row
+  const sentReminders = new Set(); // `${groupId}\n${username}\n${kind}`
+  const contacts = [];
+  const contactReplies = []; // contact_replies rows, oldest first
+  const adminSessions = new Map(); // tokenHash -> { adminUserId, createdAt, expiresAt }
+  const adminUsers = new Map(); // id -> admin_users row
+  const adminAudit = []; // admin_audit_log rows, oldest first
+  const groupLocks = new Map(); // groupId -> promise of the change in progress
+  let nextActivityId = 1;
+  let nextPastEventId = 1;
+  let nextContactId = 1;
+  let nextContactReplyId = 1;
+  let nextAdminUserId = 1;
+  let nextAdminAuditId = 1;
+
+  const key = (...parts) => parts.join('\n');
+  const countItems = users => Object.values(users || {}).reduce((sum, user) => sum + (user.items || []).length, 0);
+  // Same as PostgreSQL's date_trunc('day' | 'week', ...); weeks start on Monday
+  const periodStart = (date, interval) => {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    if (interval === 'week') {
+      start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    }
+    return start;
+  };
+  const inRange = (date, from, to) => date >= from && date < to;
+  const isExpired = (group, updatedBefore, deletedBefore) =>
+    Boolean((updatedBefore && group.updated_at < updatedBefore) ||
+      (deletedBefore && group.deleted_at && group.deleted_at < deletedBefore));
+
+  // Remove a group and everything that references it (ON DELETE CASCADE)
+  function removeGroup(groupId) {
+    groups.delete(groupId);
+    for (const [hash, token] of memberTokens) {
+      if (token.group_id === groupId) memberTokens.delete(hash);
+    }
+    for (let i = activity.length - 1; i >= 0; i--) {
+      if (activity[i].group_id === groupId) activity.splice(i, 1);
+    }
+    for (let i = pastEvents.length - 1; i >= 0; i--) {
+      if (pastEvents[i].group_id === groupId) pastEvents.splice(i, 1);
+    }
+    for (const [emailKey, row] of memberEmails) {
+      if (row.group_id === groupId) memberEmails.delete(emailKey);
+    }
+    for (const reminderKey of sentReminders) {
+      if (reminderKey.startsWith(groupId + '\n')) sentReminders.delete(reminderKey);
+    }
+  }
+
+  // Inside updateGroup every write records how to reverse itself, so a
+  // failed change can be rolled back like a transaction
+  function createQueries(undoLog = null) {
+    const onRollback = undo => {
+      if (undoLog) undoLog.push(undo);
+    };
+
+    return {
+      // ===== GROUPS =====
+
+      async getGroup(groupId, { includeDeleted = false } = {}) {
+        const group = groups.get(groupId);
+        if (!group || (group.deleted_at && !includeDeleted)) {
+          return null;
+        }
+        return copy(group);
+      },
+
+      async setGroupPasscode(groupId, passcodeHash) {
+        const group = groups.get(groupId);
+        if (!group) return;
+        const previous = group.passcode_hash;
+        group.passcode_hash = passcodeHash;
+        onRollback(() => { group.passcode_hash = previous; });
+      },
+
+      async softDeleteGroup(groupId, deletedBy) {
+        const group = groups.get(groupId);
+        if (!group || group.deleted_at) {
+          return false;
+        }
+        group.deleted_at = new Date();
+        group.deleted_by = deletedBy;
+        return true;
+      },
+
+      async restoreGroup(groupId) {
+        const group = groups.get(groupId);
+        if (!group || !group.deleted_at) {
+          return false;
+        }
+        group.deleted_at = null;
+        group.deleted_by = null;
+        group.updated_at = new Date();
+        return true;
+      },
+
+      async purgeGroup(groupId) {
+        const group = groups.get(groupId);
+        if (!group || !group.deleted_at) {
+          return false;
+        }
+        removeGroup(groupId);
+        return true;
+      },
+
+      async listGroups({ deleted = false, search = '', limit = 20, offset = 0 } = {}) {
+        const needle = search.toLowerCase();
+        const sortKey = deleted ? 'deleted_at' : 'updated_at';
+        const matches = value => String(value || '').toLowerCase().includes(needle);
+        return [...groups.values()]
+          .filter(group => Boolean(group.deleted_at) === deleted)
+          .filter(group => !needle || matches(group.data.groupName) || Object.keys(group.data.users || {}).some(matches))
+          .sort((a, b) => b[sortKey] - a[sortKey])
+          .slice(offset, offset + limit)
+          .map(group => {
+            const { users, ...settings } = copy(group.data);
+            return {
+              ...copy(group),
+              data: settings,
+              user_count: Object.keys(users || {}).length,
+              item_count: countItems(users)
+            };
+          });
+      },
+
+      async getStats(since) {
+        const live = [...groups.values()].filter(group => !group.deleted_at);
+        return {
+          groups: live.length,
+          users: live.reduce((sum, group) => sum + Object.keys(group.data.users || {}).length, 0),
+          items: live.reduce((sum, group) => sum + countItems(group.data.users), 0),
+          createdSince: live.filter(group => group.created_at >= since).length
+        };
+      },
+
+      async getUsageAnalytics({ from, to, interval }) {
+        const byPeriod = (rows, dateOf, addTo) => {
+          const periods = new Map();
+          for (const row of rows) {
+            const period = periodStart(dateOf(row), interval);
+            if (!periods.has(period.getTime())) periods.set(period.getTime(), { period });
+            addTo(periods.get(period.getTime()), row);
+          }
+          return [...periods.values()].sort((a, b) => a.period - b.period);
+        };
+        const createdGroups = [...groups.values()].filter(group => inRange(group.created_at, from, to));
+        const groupActivity = activity.filter(row => inRange(row.created_at, from, to));
+
+        const holidays = new Map();
+        for (const group of createdGroups) {
+          const holiday = group.data.holiday || 'Other';
+          holidays.set(holiday, (holidays.get(holiday) || 0) + 1);
+        }
+
+        const totals = { groups: 0, members: 0, items: 0, claimed_items: 0, purchased_items: 0 };
+        for (const group of createdGroups.filter(candidate => !candidate.deleted_at)) {
+          const items = Object.values(group.data.users || {}).flatMap(user => user.items || []);
+          totals.groups += 1;
+          totals.members += Object.keys(group.data.users || {}).length;
+          totals.items += items.length;
+          totals.claimed_items += items.filter(item => (item.claimedBy || []).length > 0).length;
+          totals.purchased_items += items.filter(item => item.purchased).length;
+        }
+
+        const activeAfter = (group, days) => activity.some(row =>
+          row.group_id === group.group_id && row.created_at - group.created_at >= days * 24 * 60 * 60 * 1000);
+
+        return {
+          created: byPeriod(createdGroups, group => group.created_at, period => {
+            period.groups = (period.groups || 0) + 1;
+          }),
+          activity: byPeriod(groupActivity, row => row.created_at, (period, row) => {
+            period.groupIds = period.groupIds || new Set();
+            period.groupIds.add(row.group_id);
+            period.active_groups = period.groupIds.size;
+            period.items_added = (period.items_added || 0) + (row.action === 'item_added' ? 1 : 0);
+            period.claims = (period.claims || 0) + (['claimed', 'split'].includes(row.action) ? 1 : 0);
+            period.purchases = (period.purchases || 0) + (row.action === 'purchased' ? 1 : 0);
+          }).map(({ groupIds, ...period }) => period),
+          holidays: [...holidays.entries()]
+            .map(([holiday, count]) => ({ holiday, groups: count }))
+            .sort((a, b) => b.groups - a.groups || a.holiday.localeCompare(b.holiday)),
+          totals,
+          retention: byPeriod(createdGroups, group => group.created_at, (period, group) => {
+            period.groups = (period.groups || 0) + 1;
+            period.active_after_7_days = (period.active_after_7_days || 0) + (activeAfter(group, 7) ? 1 : 0);
+            period.active_after_30_days = (period.active_after_30_days || 0) + (activeAfter(group, 30) ? 1 : 0);
+          })
+        };
+      },
+
+      async listExpiredGroups({ updatedBefore = null, deletedBefore = null } = {}) {
+        return [...groups.values()]
+          .filter(group => isExpired(group, updatedBefore, deletedBefore))
+          .sort((a, b) => a.updated_at - b.updated_at)
+          .map(group => {
+            const { users, ...settings } = copy(group.data);
+            return {
+              ...copy(group),
+              data: settings,
+              user_count: Object.keys(users || {}).length,
+              item_count: countItems(users)
+            };
+          });
+      },
+
+      async deleteExpiredGroup(groupId, { updatedBefore = null, deletedBefore = null } = {}) {
+        const group = groups.get(groupId);
+        if (!group || !isExpired(group, updatedBefore, deletedBefore)) {
+          return false;
+        }
+        removeGroup(groupId);
+        return true;
+      },
+
+      // ===== MEMBER TOKENS =====
+
+      async addMemberToken(tokenHash, groupId, username, role) {
+        if (memberTokens.has(tokenHash)) {
+          throw new Error('Duplicate member token');
+        }
+        memberTokens.set(tokenHash, { group_id: groupId, username, role, created_at: new Date() });
+        onRollback(() => memberTokens.delete(tokenHash));
+      },
+
+      async findMemberTokens(groupId, tokenHashes) {
+        return tokenHashes
+          .map(hash => memberTokens.get(hash))
+          .filter(token => token && token.group_id === groupId)
+          .map(token => ({ username: token.username, role: token.role }));
+      },
+
+      async getMemberTokenRoles(groupId, username) {
+        return [...memberTokens.values()]
+          .filter(token => token.group_id === groupId && token.username === username)
+          .map(token => token.role);
+      },
+
+      async deleteMemberTokens(groupId, username) {
+        for (const [hash, token] of memberTokens) {
+          if (token.group_id === groupId && token.username === username) {
+            memberTokens.delete(hash);
+            onRollback(() => memberTokens.set(hash, token));
+          }
+        }
+      },
+
+      // ===== GROUP ACTIVITY =====
+
+      async addActivity(groupId, revision, entry) {
+        const row = {
+          id: nextActivityId++,
+          group_id: groupId,
+          revision,
+          actor: entry.actor,
+          action: entry.action,
+          target_user: entry.targetUser || null,
+          item_id: entry.itemId || null,
+          summary: entry.summary,
+          before_state: entry.before === undefined ? null : copy(entry.before),
+          after_state: entry.after === undefined ? null : copy(entry.after),
+          undo_of: entry.undoOf || null,
+          created_at: new Date()
+        };
+        activity.push(row);
+        onRollback(() => activity.splice(activity.indexOf(row), 1));
+      },
+
+      async listActivity(groupId, limit) {
+        return activity
+          .filter(row => row.group_id === groupId)
+          .reverse()
+          .slice(0, limit)
+          .map(row => {
+            const undone = row.undo_of ? activity.find(other => other.id === row.undo_of) : null;
+            const { before_state, after_state, ...listed } = copy(row);
+            return { ...listed, undone_action: undone ? undone.action : null };
+          });
+      },
+
+      async getActivity(groupId, entryId) {
+        const row = activity.find(candidate => candidate.id === Number(entryId) && candidate.group_id === groupId);
+        return row ? copy(row) : null;
+      },
+
+      async isActivityUndone(entryId) {
+        return activity.some(row => row.undo_of === Number(entryId));
+      },
+
+      async listItemsAddedSince(groupId, date) {
+        return activity
+          .filter(row => row.group_id === groupId && row.action === 'item_added' && row.created_at > date)
+          .map(row => ({ target_user: row.target_user, item_id: row.item_id }));
+      },
+
+      // ===== PAST EVENTS =====
+
+      async addPastEvent(groupId, eventDate, data) {
+        const row = {
+          id: nextPastEventId++,
+          group_id: groupId,
+          event_date: eventDate || null,
+          data: copy(data),
+          created_at: new Date()
+        };
+        pastEvents.push(row);
+        onRollback(() => pastEvents.splice(pastEvents.indexOf(row), 1));
+      },
+
+      async listPastEvents(groupId) {
+        return pastEvents
+          .filter(row => row.group_id === groupId)
+          .reverse()
+          .map(row => ({
+            id: row.id,
+            event_date: row.event_date,
+            group_name: row.data.groupName,
+            holiday: row.data.holiday,
+            created_at: row.created_at
+          }));
+      },
+
+      async getPastEvent(groupId, eventId) {
+        const row = pastEvents.find(candidate => candidate.group_id === groupId && candidate.id === eventId);
+        return row ? copy({ id: row.id, event_date: row.event_date, data: row.data, created_at: row.created_at }) : null;
+      },
+
+      // ===== REMINDER EMAILS =====
+
+      async getMemberEmail(groupId, username) {
+        const row = memberEmails.get(key(groupId, username));
+        return row ? copy({ email: row.email, following: row.following, last_digest_at: row.last_digest_at }) : null;
+      },
+
+      async saveMemberEmail(groupId, username, email, following) {
+        const existing = memberEmails.get(key(groupId, username));
+        const now = new Date();
+        memberEmails.set(key(groupId, username), {
+          group_id: groupId,
+          username,
+          email,
+          following: copy(following),
+          last_digest_at: existing ? existing.last_digest_at : now,
+          created_at: existing ? existing.created_at : now
+        });
+      },
+
+      async deleteMemberEmail(groupId, username) {
+        const row = memberEmails.get(key(groupId, username));
+        if (row) {
+          memberEmails.delete(key(groupId, username));
+          onRollback(() => memberEmails.set(key(groupId, username), row));
+        }
+      },
+
+      async listReminderSubscribers() {
+        return [...memberEmails.values()]
+          .filter(row => groups.has(row.group_id) && !groups.get(row.group_id).deleted_at)
+          .map(row => copy({
+            group_id: row.group_id,
+            username: row.username,
+            email: row.email,
+            following: row.following,
+            last_digest_at: row.last_digest_at,
+            data: groups.get(row.group_id).data
+          }));
+      },
+
+      async setLastDigestAt(groupId, username, date) {
+        const row = memberEmails.get(key(groupId, username));
+        if (row) {
+          row.last_digest_at = date;
+        }
+      },
+
+      async markReminderSent(groupId, username, kind) {
+        if (!groups.has(groupId) || sentReminders.has(key(groupId, username, kind))) {
+          return false;
+        }
+        sentReminders.add(key(groupId, username, kind));
+        return true;
+      },
+
+      async unmarkReminderSent(groupId, username, kind) {
+        sentReminders.delete(key(groupId, username, kind));
+      },
+
+      // ===== CONTACT SUBMISSIONS =====
+
+      async addContact(name, email, message, { status = 'new', spamScore = 0, spamReasons = null } = {}) {
+        contacts.push({
+          id: nextContactId++,
+          name,
+          email,
+          message,
+          submitted_at: new Date(),
+          status,
+          admin_notes: null,
+          spam_score: spamScore,
+          spam_reasons: copy(spamReasons)
+        });
+      },
+
+      async countSimilarContacts({ email, message, since }) {
+        return contacts.filter(contact => contact.submitted_at >= since &&
+          (contact.email.toLowerCase() === email.toLowerCase() || contact.message === message)).length;
+      },
+
+      async listContacts({ status = '', search = '', limit = 50, offset = 0 } = {}) {
+        const needle = search.toLowerCase();
+        return contacts
+          .filter(contact => (status ? contact.status === status : !['spam', 'archived'].includes(contact.status)))
+          .filter(contact => !needle || [contact.name, contact.email, contact.message]
+            .some(value => value.toLowerCase().includes(needle)))
+          .reverse()
+          .slice(offset, offset + limit)
+          .map(copy);
+      },
+
+      async getContact(id) {
+        return copy(contacts.find(contact => contact.id === Number(id))) || null;
+      },
+
+      async updateContact(id, changes) {
+        const contact = contacts.find(candidate => candidate.id === Number(id));
+        if (!contact) {
+          return false;
+        }
+        for (const column of CONTACT_COLUMNS) {
+          if (column in changes) contact[column] = copy(changes[column]);
+        }
+        return true;
+      },
+
+      async addContactReply(contactId, { adminUsername, message }) {
+        contactReplies.push({
+          id: nextContactReplyId++,
+          contact_id: Number(contactId),
+          admin_username: adminUsername,
+          message,
+          sent_at: new Date()
+        });
+      },
+
+      async listContactReplies(contactId) {
+        return contactReplies
+          .filter(reply => reply.contact_id === Number(contactId))
+          .map(({ contact_id, ...reply }) => copy(reply));
+      },
+
+      async countContacts() {
+        return {
+          total: contacts.length,
+          new: contacts.filter(contact => contact.status === 'new').length
+        };
+      },
+
+      // ===== ADMIN SESSIONS =====
+
+      async createAdminSession(tokenHash, session) {
+        adminSessions.set(tokenHash, {
+          adminUserId: session.adminUserId,
+          createdAt: session.createdAt,
+          expiresAt: session.expiresAt
+        });
+      },
+
+      async getAdminSession(tokenHash) {
+        const session = adminSessions.get(tokenHash);
+        const user = session && adminUsers.get(session.adminUserId);
+        if (!user) {
+          return null;
+        }
+        return { ...session, username: user.username, role: user.role };
+      },
+
+      async deleteAdminSession(tokenHash) {
+        adminSessions.delete(tokenHash);
+      },
+
+      async deleteExpiredAdminSessions() {
+        for (const [hash, session] of adminSessions) {
+          if (session.expiresAt < Date.now()) adminSessions.delete(hash);
+        }
+      },
+
+      async deleteAdminSessionsFor(adminUserId, exceptTokenHash = null) {
+        for (const [hash, session] of adminSessions) {
+          if (session.adminUserId === adminUserId && hash !== exceptTokenHash) adminSessions.delete(hash);
+        }
+      },
+
+      // ===== ADMIN USERS =====
+
+      async countAdminUsers() {
+        return adminUsers.size;
+      },
+
+      async createAdminUser(username, passwordHash, role) {
+        if ([...adminUsers.values()].some(user => user.username === username)) {
+          throw new Error(`Admin user ${username} already exists`);
+        }
+        const id = nextAdminUserId++;
+        adminUsers.set(id, {
+          id,
+          username,
+          password_hash: passwordHash,
+          role,
+          totp_secret: null,
+          totp_enabled: false,
+          totp_last_step: null,
+          created_at: new Date(),
+          last_login_at: null
+        });
+        return id;
+      },
+
+      async getAdminUser(id) {
+        return copy(adminUsers.get(Number(id))) || null;
+      },
+
+      async getAdminUserByName(username) {
+        return copy([...adminUsers.values()].find(user => user.username === username)) || null;
+      },
+
+      async listAdminUsers() {
+        return [...adminUsers.values()]
+          .sort((a, b) => a.username.localeCompare(b.username))
+          .map(({ id, username, role, totp_enabled, created_at, last_login_at }) =>
+            copy({ id, username, role, totp_enabled, created_at, last_login_at }));
+      },
+
+      async updateAdminUser(id, changes) {
+        const user = adminUsers.get(Number(id));
+        if (!user) {
+          return false;
+        }
+        for (const column of ADMIN_USER_COLUMNS) {
+          if (column in changes) user[column] = copy(changes[column]);
+        }
+        return true;
+      },
+
+      async useTotpStep(id, step) {
+        const user = adminUsers.get(Number(id));
+        if (!user || (user.totp_last_step !== null && user.totp_last_step >= step)) {
+          return false;
+        }
+        user.totp_last_step = step;
+        return true;
+      },
+
+      async deleteAdminUser(id) {
+        if (!adminUsers.delete(Number(id))) {
+          return false;
+        }
+        for (const [hash, session] of adminSessions) {
+          if (session.adminUserId === Number(id)) adminSessions.delete(hash);
+        }
+        for (const entry of adminAudit) {
+          if (entry.admin_user_id === Number(id)) entry.admin_user_id = null;
+        }
+        return true;
+      },
+
+      // ===== ADMIN AUDIT LOG =====
+
+      async addAdminAuditEntry(entry) {
+        adminAudit.push({
+          id: nextAdminAuditId++,
+          admin_user_id: entry.adminUserId || null,
+          admin_username: entry.adminUsername || null,
+          action: entry.action,
+          target: entry.target || null,
+          details: entry.details ? copy(entry.details) : null,
+          ip: entry.ip || null,
+          created_at: new Date()
+        });
+      },
+
+      async listAdminAuditEntries({ action = '', admin = '', from = null, to = null, limit = 50, offset = 0 } = {}) {
+        const needle = admin.toLowerCase();
+        return adminAudit
+          .filter(entry => !action || entry.action === action)
+          .filter(entry => !needle || String(entry.admin_username || '').toLowerCase().includes(needle))
+          .filter(entry => (!from || entry.created_at >= from) && (!to || entry.created_at < to))
+          .reverse()
+          .slice(offset, offset + limit)
+          .map(copy);
+      }
+    };
+  }
+
+  return {
+    name: 'memory',
+    ...createQueries(),
+
+    async init() {
+      logger.warn('Using in-memory storage - data is lost when the server stops');
+    },
+
+    async ping() {},
+
+    async close() {},
+
+    // No connection pool
+    poolStats() {
+      return null;
+    },
+
+    async createGroup(groupId, data, passcodeHash = null) {
+      if (groups.has(groupId)) {
+        throw new Error(`Group ${groupId} already exists`);
+      }
+      const now = new Date();
+      groups.set(groupId, {
+        group_id: groupId,
+        data: copy(data),
+        revision: 1,
+        created_at: now,
+        updated_at: now,
+        deleted_at: null,
+        deleted_by: null,
+        passcode_hash: passcodeHash
+      });
+    },
+
+    // Same contract as the PostgreSQL backend. Changes to one group wait for
+    // each other, and a change that throws leaves nothing behind.
+    async updateGroup(groupId, applyChange) {
+      const previous = groupLocks.get(groupId) || Promise.resolve();
+      let release;
+      const done = new Promise(resolve => { release = resolve; });
+      const current = previous.then(() => done);
+      groupLocks.set(groupId, current);
+      await previous;
+
+      const undoLog = [];
+      try {
+        const group = groups.get(groupId);
+        if (!group || group.deleted_at) {
+          return null;
+        }
+
+        const newData = await applyChange(copy(group.data), group.revision, createQueries(undoLog));
+
+        group.data = copy(newData);
+        group.revision += 1;
+        group.updated_at = new Date();
+        return group.revision;
+      } catch (error) {
+        undoLog.reverse().forEach(undo => undo());
+        throw error;
+      } finally {
+        release();
+        if (groupLocks.get(groupId) === current) {
+          groupLocks.delete(groupId);
+        }
+      }
+    }
+  };
+}
+
+module.exports = createMemoryStorage;
@@ -0,0 +1,133 @@
+// Versioned PostgreSQL migrations. Each file in migrations/ is named
+// NNN_description.js and exports up(db) and down(db). Applied versions are
+// recorded in schema_migrations. Every migration runs in its own transaction,
+// and an advisory lock keeps two instances from migrating at the same time.
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+const LOCK_ID = 720131; // Any constant works, as long as nothing else uses it
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => ({ file, match: MIGRATION_FILE.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      version: parseInt(match[1], 10),
+      name: match[2],
+      ...require(path.join(dir, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Two migrations share version ${migration.version}`);
+    }
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migration ${migration.version}_${migration.name} must export up() and down()`);
+    }
+  });
+
+  return migrations;
+}
+
+// Run work(client) holding the migration lock, with schema_migrations in place
+async function withMigrationLock(pool, work) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    return await work(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+async function getApplied(db) {
+  const result = await db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+async function inTransaction(client, work) {
+  await client.query('BEGIN');
+  try {
+    await work();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+// Apply pending migrations in order, up to and including version `to`.
+// Resolves to the migrations that were applied.
+function migrateUp(pool, { to = Infinity, migrations = loadMigrations() } = {}) {
+  return withMigrationLock(pool, async client => {
+    const applied = await getApplied(client);
+    const pending = migrations.filter(migration => !applied.has(migration.version) && migration.version <= to);
+
+    for (const migration of pending) {
+      await inTransaction(client, async () => {
+        await migration.up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+      });
+      logger.info('Applied migration', { version: migration.version, migration: migration.name });
+    }
+
+    return pending;
+  });
+}
+
+// Revert the last `steps` applied migrations, newest first. Resolves to the
+// migrations that were reverted.
+function migrateDown(pool, { steps = 1, migrations = loadMigrations() } = {}) {
+  return withMigrationLock(pool, async client => {
+    const applied = await getApplied(client);
+    const toRevert = migrations.filter(migration => applied.has(migration.version)).reverse().slice(0, steps);
+
+    for (const migration of toRevert) {
+      await inTransaction(client, async () => {
+        await migration.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      });
+      logger.info('Reverted migration', { version: migration.version, migration: migration.name });
+    }
+
+    return toRevert;
+  });
+}
+
+// Every known migration with when it was applied (null when pending), plus
+// any applied versions this code doesn't know about (e.g. after a rollback)
+function migrationStatus(pool, { migrations = loadMigrations() } = {}) {
+  return withMigrationLock(pool, async client => {
+    const applied = await getApplied(client);
+    const known = new Set(migrations.map(migration => migration.version));
+
+    return [
+      ...migrations.map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+      })),
+      ...[...applied.values()]
+        .filter(row => !known.has(row.version))
+        .map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at, unknown: true }))
+    ];
+  });
+}
+
+module.exports = { MIGRATIONS_DIR, loadMigrations, migrateUp, migrateDown, migrationStatus };
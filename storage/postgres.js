@@ -0,0 +1,936 @@
+const { Pool } = require('pg');
+const { migrateUp, migrateDown, migrationStatus } = require('./migrations');
+
+// Admin account columns updateAdminUser may change
+const ADMIN_USER_COLUMNS = ['password_hash', 'role', 'totp_secret', 'totp_enabled', 'totp_last_step', 'last_login_at'];
+
+// Contact submission columns updateContact may change
+const CONTACT_COLUMNS = ['status', 'admin_notes'];
+
+// Group documents are stored split up: settings (name, date, budget, Secret
+// Santa...) in groups.data, and the users in group_members, group_items and
+// item_claims. These helpers put documents back together and write back only
+// the rows that changed.
+const ITEM_COLUMNS = ['description', 'priority', 'price', 'amount', 'notes', 'details', 'purchased'];
+
+function withoutUsers(data) {
+  const settings = { ...data };
+  delete settings.users;
+  return settings;
+}
+
+// Resolves to a Map of groupId -> users, in the same shape as group data
+async function loadUsers(db, groupIds) {
+  const usersByGroup = new Map(groupIds.map(groupId => [groupId, {}]));
+  if (groupIds.length === 0) {
+    return usersByGroup;
+  }
+
+  const members = await db.query(
+    'SELECT group_id, username, managed_by, manager_is_recipient FROM group_members WHERE group_id = ANY($1) ORDER BY position',
+    [groupIds]
+  );
+  const items = await db.query(
+    'SELECT * FROM group_items WHERE group_id = ANY($1) ORDER BY position',
+    [groupIds]
+  );
+  const claims = await db.query(
+    'SELECT group_id, item_id, username, split FROM item_claims WHERE group_id = ANY($1) ORDER BY position',
+    [groupIds]
+  );
+
+  for (const row of members.rows) {
+    usersByGroup.get(row.group_id)[row.username] = row.managed_by
+      ? { items: [], managedBy: row.managed_by, managerIsRecipient: row.manager_is_recipient }
+      : { items: [] };
+  }
+
+  const itemsByKey = new Map();
+  for (const row of items.rows) {
+    const item = {
+      id: row.item_id,
+      description: row.description,
+      priority: row.priority,
+      price: row.price,
+      amount: row.amount === null ? null : Number(row.amount),
+      notes: row.notes,
+      details: row.details,
+      claimedBy: [],
+      purchased: row.purchased,
+      splitWith: []
+    };
+    usersByGroup.get(row.group_id)[row.username].items.push(item);
+    itemsByKey.set(`${row.group_id}\n${row.item_id}`, item);
+  }
+
+  for (const row of claims.rows) {
+    const item = itemsByKey.get(`${row.group_id}\n${row.item_id}`);
+    item.claimedBy.push(row.username);
+    if (row.split) {
+      item.splitWith.push(row.username);
+    }
+  }
+
+  return usersByGroup;
+}
+
+// Add the users back into each row's data
+async function withUsers(db, rows) {
+  const usersByGroup = await loadUsers(db, [...new Set(rows.map(row => row.group_id))]);
+  return rows.map(row => ({ ...row, data: { ...row.data, users: usersByGroup.get(row.group_id) } }));
+}
+
+// itemId -> { username, position, item }
+function indexItems(users) {
+  const items = new Map();
+  for (const [username, user] of Object.entries(users || {})) {
+    (user.items || []).forEach((item, position) => items.set(item.id, { username, position, item }));
+  }
+  return items;
+}
+
+// [managed_by, manager_is_recipient] for a member
+function managerColumns(user) {
+  return user.managedBy ? [user.managedBy, Boolean(user.managerIsRecipient)] : [null, false];
+}
+
+async function insertClaims(db, groupId, item) {
+  for (const [position, username] of item.claimedBy.entries()) {
+    await db.query(
+      'INSERT INTO item_claims (group_id, item_id, username, position, split) VALUES ($1, $2, $3, $4, $5)',
+      [groupId, item.id, username, position, item.splitWith.includes(username)]
+    );
+  }
+}
+
+// Write the difference between two versions of a group's users. Item IDs
+// must be unique within the group (sanitizeGroupData makes sure of that).
+async function saveUsers(db, groupId, before, after) {
+  const beforeNames = Object.keys(before || {});
+  const beforeItems = indexItems(before);
+  const afterItems = indexItems(after);
+
+  // New members first, so new and moved items have someone to belong to
+  for (const [position, username] of Object.keys(after || {}).entries()) {
+    const previousPosition = beforeNames.indexOf(username);
+    const manager = managerColumns(after[username]);
+    if (previousPosition === -1) {
+      await db.query(
+        'INSERT INTO group_members (group_id, username, position, managed_by, manager_is_recipient) VALUES ($1, $2, $3, $4, $5)',
+        [groupId, username, position, ...manager]
+      );
+    } else if (previousPosition !== position ||
+        JSON.stringify(manager) !== JSON.stringify(managerColumns(before[username]))) {
+      await db.query(
+        'UPDATE group_members SET position = $1, managed_by = $4, manager_is_recipient = $5 WHERE group_id = $2 AND username = $3',
+        [position, groupId, username, ...manager]
+      );
+    }
+  }
+
+  for (const [itemId, { username, position, item }] of afterItems) {
+    const previous = beforeItems.get(itemId);
+    const values = ITEM_COLUMNS.map(column => item[column]);
+
+    if (!previous) {
+      await db.query(
+        `INSERT INTO group_items (group_id, item_id, username, position, ${ITEM_COLUMNS.join(', ')})
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+        [groupId, itemId, username, position, ...values]
+      );
+      await insertClaims(db, groupId, item);
+      continue;
+    }
+
+    if (previous.username !== username || previous.position !== position ||
+        ITEM_COLUMNS.some(column => previous.item[column] !== item[column])) {
+      await db.query(
+        `UPDATE group_items SET username = $3, position = $4, ${ITEM_COLUMNS.map((column, index) => `${column} = $${index + 5}`).join(', ')}
+         WHERE group_id = $1 AND item_id = $2`,
+        [groupId, itemId, username, position, ...values]
+      );
+    }
+
+    if (JSON.stringify([previous.item.claimedBy, previous.item.splitWith]) !== JSON.stringify([item.claimedBy, item.splitWith])) {
+      await db.query('DELETE FROM item_claims WHERE group_id = $1 AND item_id = $2', [groupId, itemId]);
+      await insertClaims(db, groupId, item);
+    }
+  }
+
+  for (const itemId of beforeItems.keys()) {
+    if (!afterItems.has(itemId)) {
+      await db.query('DELETE FROM group_items WHERE group_id = $1 AND item_id = $2', [groupId, itemId]);
+    }
+  }
+
+  // Removing a member removes their items and those items' claims too
+  for (const username of beforeNames) {
+    if (!Object.prototype.hasOwnProperty.call(after || {}, username)) {
+      await db.query('DELETE FROM group_members WHERE group_id = $1 AND username = $2', [groupId, username]);
+    }
+  }
+}
+
+// WHERE clause for groups past the retention policy, numbering its
+// parameters from firstParam
+function expiredCondition(prefix, updatedBefore, deletedBefore, firstParam = 1) {
+  const conditions = [];
+  const params = [];
+
+  if (updatedBefore) {
+    params.push(updatedBefore);
+    conditions.push(`${prefix}updated_at < $${firstParam + params.length - 1}`);
+  }
+  if (deletedBefore) {
+    params.push(deletedBefore);
+    conditions.push(`${prefix}deleted_at < $${firstParam + params.length - 1}`);
+  }
+
+  return { condition: conditions.join(' OR '), params };
+}
+
+async function withTransaction(pool, work) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Queries shared by the pool and by transactions. `db` is anything with a
+// query() method: the pool itself, or a client inside a transaction.
+function createQueries(db) {
+  return {
+    // ===== GROUPS =====
+
+    async getGroup(groupId, { includeDeleted = false } = {}) {
+      const result = await db.query(
+        'SELECT group_id, data, revision, created_at, updated_at, deleted_at, deleted_by, passcode_hash FROM groups WHERE group_id = $1' +
+          (includeDeleted ? '' : ' AND deleted_at IS NULL'),
+        [groupId]
+      );
+      if (result.rows.length === 0) {
+        return null;
+      }
+      return (await withUsers(db, result.rows))[0];
+    },
+
+    async setGroupPasscode(groupId, passcodeHash) {
+      await db.query('UPDATE groups SET passcode_hash = $1 WHERE group_id = $2', [passcodeHash, groupId]);
+    },
+
+    async softDeleteGroup(groupId, deletedBy) {
+      const result = await db.query(
+        'UPDATE groups SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $1 WHERE group_id = $2 AND deleted_at IS NULL',
+        [deletedBy, groupId]
+      );
+      return result.rowCount > 0;
+    },
+
+    async restoreGroup(groupId) {
+      const result = await db.query(
+        'UPDATE groups SET deleted_at = NULL, deleted_by = NULL, updated_at = CURRENT_TIMESTAMP WHERE group_id = $1 AND deleted_at IS NOT NULL',
+        [groupId]
+      );
+      return result.rowCount > 0;
+    },
+
+    // Permanently remove a group that was already soft deleted
+    async purgeGroup(groupId) {
+      const result = await db.query(
+        'DELETE FROM groups WHERE group_id = $1 AND deleted_at IS NOT NULL',
+        [groupId]
+      );
+      return result.rowCount > 0;
+    },
+
+    // Either the live groups or the deleted ones, optionally filtered by group
+    // or member name. Rows have the group settings (no users) in data, plus
+    // user_count and item_count.
+    async listGroups({ deleted = false, search = '', limit = 20, offset = 0 } = {}) {
+      let query = `SELECT g.group_id, g.data, g.created_at, g.updated_at, g.deleted_at, g.deleted_by,
+                          COALESCE(m.user_count, 0) AS user_count, COALESCE(i.item_count, 0) AS item_count
+                   FROM groups g
+                   LEFT JOIN (SELECT group_id, COUNT(*) AS user_count FROM group_members GROUP BY group_id) m
+                     ON m.group_id = g.group_id
+                   LEFT JOIN (SELECT group_id, COUNT(*) AS item_count FROM group_items GROUP BY group_id) i
+                     ON i.group_id = g.group_id`;
+      const params = [];
+
+      query += deleted ? ' WHERE g.deleted_at IS NOT NULL' : ' WHERE g.deleted_at IS NULL';
+
+      if (search) {
+        query += " AND (g.data->>'groupName' ILIKE $1 OR g.group_id IN (SELECT group_id FROM group_members WHERE username ILIKE $1))";
+        params.push(`%${search}%`);
+      }
+
+      query += (deleted ? ' ORDER BY g.deleted_at DESC' : ' ORDER BY g.updated_at DESC') + ' LIMIT $' + (params.length + 1) + ' OFFSET $' + (params.length + 2);
+      params.push(limit, offset);
+
+      const result = await db.query(query, params);
+      return result.rows.map(row => ({
+        ...row,
+        user_count: parseInt(row.user_count),
+        item_count: parseInt(row.item_count)
+      }));
+    },
+
+    // Totals across live groups. Resolves to { groups, users, items, createdSince }.
+    async getStats(since) {
+      const count = async (query, params = []) => parseInt((await db.query(query, params)).rows[0].count);
+      return {
+        groups: await count('SELECT COUNT(*) AS count FROM groups WHERE deleted_at IS NULL'),
+        users: await count(
+          'SELECT COUNT(*) AS count FROM group_members m JOIN groups g ON g.group_id = m.group_id WHERE g.deleted_at IS NULL'
+        ),
+        items: await count(
+          'SELECT COUNT(*) AS count FROM group_items i JOIN groups g ON g.group_id = i.group_id WHERE g.deleted_at IS NULL'
+        ),
+        createdSince: await count(
+          'SELECT COUNT(*) AS count FROM groups WHERE deleted_at IS NULL AND created_at >= $1',
+          [since]
+        )
+      };
+    },
+
+    // Usage over time for the admin analytics. from/to bound the creation or
+    // activity time; interval is 'day' or 'week' (weeks start on Monday).
+    // Resolves to raw per-period rows; the caller fills in empty periods.
+    async getUsageAnalytics({ from, to, interval }) {
+      const range = [from, to, interval];
+      const toNumbers = rows => rows.map(row => {
+        const converted = {};
+        for (const [column, value] of Object.entries(row)) {
+          converted[column] = column === 'period' || column === 'holiday' ? value : parseInt(value);
+        }
+        return converted;
+      });
+
+      const created = await db.query(
+        `SELECT date_trunc($3, created_at) AS period, COUNT(*) AS groups
+         FROM groups WHERE created_at >= $1 AND created_at < $2
+         GROUP BY 1 ORDER BY 1`,
+        range
+      );
+      const activity = await db.query(
+        `SELECT date_trunc($3, created_at) AS period,
+                COUNT(DISTINCT group_id) AS active_groups,
+                COUNT(*) FILTER (WHERE action = 'item_added') AS items_added,
+                COUNT(*) FILTER (WHERE action IN ('claimed', 'split')) AS claims,
+                COUNT(*) FILTER (WHERE action = 'purchased') AS purchases
+         FROM group_activity WHERE created_at >= $1 AND created_at < $2
+         GROUP BY 1 ORDER BY 1`,
+        range
+      );
+      const holidays = await db.query(
+        `SELECT COALESCE(NULLIF(data->>'holiday', ''), 'Other') AS holiday, COUNT(*) AS groups
+         FROM groups WHERE created_at >= $1 AND created_at < $2
+         GROUP BY 1 ORDER BY 2 DESC, 1`,
+        [from, to]
+      );
+      // Members, items, claims and purchases of the live groups created in the range
+      const totals = await db.query(
+        `SELECT COUNT(*) AS groups,
+                COALESCE(SUM(m.members), 0) AS members,
+                COALESCE(SUM(i.items), 0) AS items,
+                COALESCE(SUM(i.claimed_items), 0) AS claimed_items,
+                COALESCE(SUM(i.purchased_items), 0) AS purchased_items
+         FROM groups g
+         LEFT JOIN (SELECT group_id, COUNT(*) AS members FROM group_members GROUP BY group_id) m
+           ON m.group_id = g.group_id
+         LEFT JOIN (
+           SELECT it.group_id, COUNT(*) AS items,
+                  COUNT(*) FILTER (WHERE EXISTS (
+                    SELECT 1 FROM item_claims c WHERE c.group_id = it.group_id AND c.item_id = it.item_id
+                  )) AS claimed_items,
+                  COUNT(*) FILTER (WHERE it.purchased) AS purchased_items
+           FROM group_items it GROUP BY it.group_id
+         ) i ON i.group_id = g.group_id
+         WHERE g.deleted_at IS NULL AND g.created_at >= $1 AND g.created_at < $2`,
+        [from, to]
+      );
+      // Groups still in use a week and a month after they were created
+      const retention = await db.query(
+        `SELECT date_trunc($3, g.created_at) AS period, COUNT(*) AS groups,
+                COUNT(*) FILTER (WHERE EXISTS (
+                  SELECT 1 FROM group_activity a
+                  WHERE a.group_id = g.group_id AND a.created_at >= g.created_at + INTERVAL '7 days'
+                )) AS active_after_7_days,
+                COUNT(*) FILTER (WHERE EXISTS (
+                  SELECT 1 FROM group_activity a
+                  WHERE a.group_id = g.group_id AND a.created_at >= g.created_at + INTERVAL '30 days'
+                )) AS active_after_30_days
+         FROM groups g WHERE g.created_at >= $1 AND g.created_at < $2
+         GROUP BY 1 ORDER BY 1`,
+        range
+      );
+
+      return {
+        created: toNumbers(created.rows),
+        activity: toNumbers(activity.rows),
+        holidays: toNumbers(holidays.rows),
+        totals: toNumbers(totals.rows)[0],
+        retention: toNumbers(retention.rows)
+      };
+    },
+
+    // Groups past the retention policy: not updated since updatedBefore, or
+    // deleted before deletedBefore (either may be null to skip it). Rows are
+    // shaped like listGroups, oldest update first.
+    async listExpiredGroups({ updatedBefore = null, deletedBefore = null } = {}) {
+      const { condition, params } = expiredCondition('g.', updatedBefore, deletedBefore);
+      if (!condition) {
+        return [];
+      }
+
+      const result = await db.query(
+        `SELECT g.group_id, g.data, g.created_at, g.updated_at, g.deleted_at, g.deleted_by,
+                (SELECT COUNT(*) FROM group_members m WHERE m.group_id = g.group_id) AS user_count,
+                (SELECT COUNT(*) FROM group_items i WHERE i.group_id = g.group_id) AS item_count
+         FROM groups g
+         WHERE ${condition}
+         ORDER BY g.updated_at`,
+        params
+      );
+      return result.rows.map(row => ({
+        ...row,
+        user_count: parseInt(row.user_count),
+        item_count: parseInt(row.item_count)
+      }));
+    },
+
+    // Delete one group if it is still expired, so a group changed since it
+    // was listed survives. Resolves to whether it was deleted.
+    async deleteExpiredGroup(groupId, { updatedBefore = null, deletedBefore = null } = {}) {
+      const { condition, params } = expiredCondition('', updatedBefore, deletedBefore, 2);
+      if (!condition) {
+        return false;
+      }
+
+      const result = await db.query(`DELETE FROM groups WHERE group_id = $1 AND (${condition})`, [groupId, ...params]);
+      return result.rowCount > 0;
+    },
+
+    // ===== MEMBER TOKENS =====
+
+    async addMemberToken(tokenHash, groupId, username, role) {
+      await db.query(
+        'INSERT INTO member_tokens (token_hash, group_id, username, role) VALUES ($1, $2, $3, $4)',
+        [tokenHash, groupId, username, role]
+      );
+    },
+
+    // Resolves to [{ username, role }] for the hashes that belong to the group
+    async findMemberTokens(groupId, tokenHashes) {
+      const placeholders = tokenHashes.map((hash, index) => '$' + (index + 2)).join(', ');
+      const result = await db.query(
+        'SELECT username, role FROM member_tokens WHERE group_id = $1 AND token_hash IN (' + placeholders + ')',
+        [groupId, ...tokenHashes]
+      );
+      return result.rows;
+    },
+
+    async getMemberTokenRoles(groupId, username) {
+      const result = await db.query(
+        'SELECT role FROM member_tokens WHERE group_id = $1 AND username = $2',
+        [groupId, username]
+      );
+      return result.rows.map(row => row.role);
+    },
+
+    async deleteMemberTokens(groupId, username) {
+      await db.query(
+        'DELETE FROM member_tokens WHERE group_id = $1 AND username = $2',
+        [groupId, username]
+      );
+    },
+
+    // ===== GROUP ACTIVITY =====
+
+    async addActivity(groupId, revision, entry) {
+      await db.query(
+        `INSERT INTO group_activity
+           (group_id, revision, actor, action, target_user, item_id, summary, before_state, after_state, undo_of)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+          groupId,
+          revision,
+          entry.actor,
+          entry.action,
+          entry.targetUser || null,
+          entry.itemId || null,
+          entry.summary,
+          entry.before === undefined ? null : JSON.stringify(entry.before),
+          entry.after === undefined ? null : JSON.stringify(entry.after),
+          entry.undoOf || null
+        ]
+      );
+    },
+
+    // Newest first, each row with the action it undoes (if any) as undone_action
+    async listActivity(groupId, limit) {
+      const result = await db.query(
+        `SELECT a.id, a.revision, a.actor, a.action, a.target_user, a.item_id, a.summary, a.undo_of, a.created_at,
+                o.action AS undone_action
+         FROM group_activity a
+         LEFT JOIN group_activity o ON o.id = a.undo_of
+         WHERE a.group_id = $1
+         ORDER BY a.id DESC
+         LIMIT $2`,
+        [groupId, limit]
+      );
+      return result.rows;
+    },
+
+    async getActivity(groupId, entryId) {
+      const result = await db.query(
+        'SELECT * FROM group_activity WHERE id = $1 AND group_id = $2',
+        [entryId, groupId]
+      );
+      return result.rows[0] || null;
+    },
+
+    async isActivityUndone(entryId) {
+      const result = await db.query('SELECT id FROM group_activity WHERE undo_of = $1', [entryId]);
+      return result.rows.length > 0;
+    },
+
+    async listItemsAddedSince(groupId, date) {
+      const result = await db.query(
+        `SELECT target_user, item_id FROM group_activity
+         WHERE group_id = $1 AND action = 'item_added' AND created_at > $2
+         ORDER BY id`,
+        [groupId, date]
+      );
+      return result.rows;
+    },
+
+    // ===== PAST EVENTS =====
+
+    async addPastEvent(groupId, eventDate, data) {
+      await db.query(
+        'INSERT INTO group_past_events (group_id, event_date, data) VALUES ($1, $2, $3)',
+        [groupId, eventDate || null, JSON.stringify(data)]
+      );
+    },
+
+    // Newest first, without the snapshots themselves
+    async listPastEvents(groupId) {
+      const result = await db.query(
+        `SELECT id, event_date, data->>'groupName' AS group_name, data->>'holiday' AS holiday, created_at
+         FROM group_past_events WHERE group_id = $1 ORDER BY id DESC`,
+        [groupId]
+      );
+      return result.rows;
+    },
+
+    async getPastEvent(groupId, eventId) {
+      const result = await db.query(
+        'SELECT id, event_date, data, created_at FROM group_past_events WHERE group_id = $1 AND id = $2',
+        [groupId, eventId]
+      );
+      return result.rows[0] || null;
+    },
+
+    // ===== REMINDER EMAILS =====
+
+    async getMemberEmail(groupId, username) {
+      const result = await db.query(
+        'SELECT email, following, last_digest_at FROM member_emails WHERE group_id = $1 AND username = $2',
+        [groupId, username]
+      );
+      return result.rows[0] || null;
+    },
+
+    async saveMemberEmail(groupId, username, email, following) {
+      await db.query(
+        `INSERT INTO member_emails (group_id, username, email, following)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (group_id, username) DO UPDATE SET email = $3, following = $4`,
+        [groupId, username, email, JSON.stringify(following)]
+      );
+    },
+
+    async deleteMemberEmail(groupId, username) {
+      await db.query(
+        'DELETE FROM member_emails WHERE group_id = $1 AND username = $2',
+        [groupId, username]
+      );
+    },
+
+    // Everyone with a reminder email in a live group, with the group's data
+    async listReminderSubscribers() {
+      const result = await db.query(
+        `SELECT e.group_id, e.username, e.email, e.following, e.last_digest_at, g.data
+         FROM member_emails e
+         JOIN groups g ON g.group_id = e.group_id
+         WHERE g.deleted_at IS NULL`
+      );
+      return withUsers(db, result.rows);
+    },
+
+    async setLastDigestAt(groupId, username, date) {
+      await db.query(
+        'UPDATE member_emails SET last_digest_at = $1 WHERE group_id = $2 AND username = $3',
+        [date, groupId, username]
+      );
+    },
+
+    // Resolves to false when this reminder was already recorded
+    async markReminderSent(groupId, username, kind) {
+      const result = await db.query(
+        'INSERT INTO sent_reminders (group_id, username, kind) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+        [groupId, username, kind]
+      );
+      return result.rowCount > 0;
+    },
+
+    async unmarkReminderSent(groupId, username, kind) {
+      await db.query(
+        'DELETE FROM sent_reminders WHERE group_id = $1 AND username = $2 AND kind = $3',
+        [groupId, username, kind]
+      );
+    },
+
+    // ===== CONTACT SUBMISSIONS =====
+
+    async addContact(name, email, message, { status = 'new', spamScore = 0, spamReasons = null } = {}) {
+      await db.query(
+        `INSERT INTO contact_submissions (name, email, message, status, spam_score, spam_reasons)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [name, email, message, status, spamScore, spamReasons ? JSON.stringify(spamReasons) : null]
+      );
+    },
+
+    // How many messages since `since` came from this email address or repeat
+    // this exact message
+    async countSimilarContacts({ email, message, since }) {
+      const result = await db.query(
+        `SELECT COUNT(*) AS count FROM contact_submissions
+         WHERE submitted_at >= $3 AND (LOWER(email) = LOWER($1) OR message = $2)`,
+        [email, message, since]
+      );
+      return parseInt(result.rows[0].count);
+    },
+
+    // An empty status lists the inbox: everything but spam and archived
+    async listContacts({ status = '', search = '', limit = 50, offset = 0 } = {}) {
+      const conditions = [];
+      const params = [];
+      const addCondition = (sql, value) => {
+        params.push(value);
+        conditions.push(sql.replaceAll('?', `$${params.length}`));
+      };
+
+      if (status) {
+        addCondition('status = ?', status);
+      } else {
+        conditions.push("status NOT IN ('spam', 'archived')");
+      }
+      if (search) addCondition('(name ILIKE ? OR email ILIKE ? OR message ILIKE ?)', `%${search}%`);
+
+      params.push(limit, offset);
+      const result = await db.query(
+        `SELECT * FROM contact_submissions
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY submitted_at DESC, id DESC
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+      );
+      return result.rows;
+    },
+
+    async getContact(id) {
+      const result = await db.query('SELECT * FROM contact_submissions WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    },
+
+    // Resolves to false when there is no such submission
+    async updateContact(id, changes) {
+      const columns = Object.keys(changes).filter(column => CONTACT_COLUMNS.includes(column));
+      if (columns.length === 0) {
+        return true;
+      }
+      const result = await db.query(
+        `UPDATE contact_submissions SET ${columns.map((column, index) => `${column} = $${index + 2}`).join(', ')} WHERE id = $1`,
+        [id, ...columns.map(column => changes[column])]
+      );
+      return result.rowCount > 0;
+    },
+
+    async addContactReply(contactId, { adminUsername, message }) {
+      await db.query(
+        'INSERT INTO contact_replies (contact_id, admin_username, message) VALUES ($1, $2, $3)',
+        [contactId, adminUsername, message]
+      );
+    },
+
+    // Oldest first
+    async listContactReplies(contactId) {
+      const result = await db.query(
+        'SELECT id, admin_username, message, sent_at FROM contact_replies WHERE contact_id = $1 ORDER BY id',
+        [contactId]
+      );
+      return result.rows;
+    },
+
+    // Resolves to { total, new }
+    async countContacts() {
+      const result = await db.query(
+        "SELECT COUNT(*) as total, COUNT(*) FILTER (WHERE status = 'new') as new FROM contact_submissions"
+      );
+      return { total: parseInt(result.rows[0].total), new: parseInt(result.rows[0].new) };
+    },
+
+    // ===== ADMIN SESSIONS =====
+
+    async createAdminSession(tokenHash, session) {
+      await db.query(
+        'INSERT INTO admin_sessions (token_hash, admin_user_id, created_at, expires_at) VALUES ($1, $2, $3, $4)',
+        [tokenHash, session.adminUserId, new Date(session.createdAt), new Date(session.expiresAt)]
+      );
+    },
+
+    // Resolves to { adminUserId, username, role, createdAt, expiresAt }
+    // (times in milliseconds) or null
+    async getAdminSession(tokenHash) {
+      const result = await db.query(
+        `SELECT s.admin_user_id, u.username, u.role, s.created_at, s.expires_at
+         FROM admin_sessions s
+         JOIN admin_users u ON u.id = s.admin_user_id
+         WHERE s.token_hash = $1`,
+        [tokenHash]
+      );
+      if (result.rows.length === 0) {
+        return null;
+      }
+      const row = result.rows[0];
+      return {
+        adminUserId: row.admin_user_id,
+        username: row.username,
+        role: row.role,
+        createdAt: new Date(row.created_at).getTime(),
+        expiresAt: new Date(row.expires_at).getTime()
+      };
+    },
+
+    async deleteAdminSession(tokenHash) {
+      await db.query('DELETE FROM admin_sessions WHERE token_hash = $1', [tokenHash]);
+    },
+
+    async deleteExpiredAdminSessions() {
+      await db.query('DELETE FROM admin_sessions WHERE expires_at < $1', [new Date()]);
+    },
+
+    // Sign an admin out everywhere, except optionally the session making the change
+    async deleteAdminSessionsFor(adminUserId, exceptTokenHash = null) {
+      await db.query(
+        "DELETE FROM admin_sessions WHERE admin_user_id = $1 AND token_hash <> COALESCE($2, '')",
+        [adminUserId, exceptTokenHash]
+      );
+    },
+
+    // ===== ADMIN USERS =====
+
+    async countAdminUsers() {
+      const result = await db.query('SELECT COUNT(*) AS count FROM admin_users');
+      return parseInt(result.rows[0].count);
+    },
+
+    // Resolves to the new account's id
+    async createAdminUser(username, passwordHash, role) {
+      const result = await db.query(
+        'INSERT INTO admin_users (username, password_hash, role) VALUES ($1, $2, $3) RETURNING id',
+        [username, passwordHash, role]
+      );
+      return result.rows[0].id;
+    },
+
+    async getAdminUser(id) {
+      const result = await db.query('SELECT * FROM admin_users WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    },
+
+    async getAdminUserByName(username) {
+      const result = await db.query('SELECT * FROM admin_users WHERE username = $1', [username]);
+      return result.rows[0] || null;
+    },
+
+    // Accounts without their password hashes and TOTP secrets
+    async listAdminUsers() {
+      const result = await db.query(
+        'SELECT id, username, role, totp_enabled, created_at, last_login_at FROM admin_users ORDER BY username'
+      );
+      return result.rows;
+    },
+
+    // changes: any of password_hash, role, totp_secret, totp_enabled,
+    // totp_last_step, last_login_at. Resolves to false when the account is gone.
+    async updateAdminUser(id, changes) {
+      const columns = Object.keys(changes).filter(column => ADMIN_USER_COLUMNS.includes(column));
+      if (columns.length === 0) {
+        return true;
+      }
+      const result = await db.query(
+        `UPDATE admin_users SET ${columns.map((column, index) => `${column} = $${index + 2}`).join(', ')} WHERE id = $1`,
+        [id, ...columns.map(column => changes[column])]
+      );
+      return result.rowCount > 0;
+    },
+
+    // Record a TOTP time step as used. Resolves to false when it (or a later
+    // one) was used already, so each code only works once.
+    async useTotpStep(id, step) {
+      const result = await db.query(
+        `UPDATE admin_users SET totp_last_step = $2
+         WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)`,
+        [id, step]
+      );
+      return result.rowCount > 0;
+    },
+
+    // Also ends the account's sessions (ON DELETE CASCADE)
+    async deleteAdminUser(id) {
+      const result = await db.query('DELETE FROM admin_users WHERE id = $1', [id]);
+      return result.rowCount > 0;
+    },
+
+    // ===== ADMIN AUDIT LOG =====
+
+    async addAdminAuditEntry(entry) {
+      await db.query(
+        `INSERT INTO admin_audit_log (admin_user_id, admin_username, action, target, details, ip)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [
+          entry.adminUserId || null,
+          entry.adminUsername || null,
+          entry.action,
+          entry.target || null,
+          entry.details ? JSON.stringify(entry.details) : null,
+          entry.ip || null
+        ]
+      );
+    },
+
+    // Newest first. Filters: action, admin (username), from and to (dates;
+    // to is exclusive).
+    async listAdminAuditEntries({ action = '', admin = '', from = null, to = null, limit = 50, offset = 0 } = {}) {
+      const conditions = [];
+      const params = [];
+      const addCondition = (sql, value) => {
+        params.push(value);
+        conditions.push(sql.replace('?', `$${params.length}`));
+      };
+
+      if (action) addCondition('action = ?', action);
+      if (admin) addCondition('admin_username ILIKE ?', `%${admin}%`);
+      if (from) addCondition('created_at >= ?', from);
+      if (to) addCondition('created_at < ?', to);
+
+      params.push(limit, offset);
+      const result = await db.query(
+        `SELECT id, admin_user_id, admin_username, action, target, details, ip, created_at
+         FROM admin_audit_log
+         ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+      );
+      return result.rows;
+    }
+  };
+}
+
+// PostgreSQL storage (DATABASE_URL)
+function createPostgresStorage() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.DATABASE_URL ? { rejectUnauthorized: false } : false
+  });
+
+  return {
+    name: 'postgres',
+    ...createQueries(pool),
+
+    // Bring the schema up to date before the server accepts requests. With
+    // MIGRATE_ON_START=false migrations are left to `npm run migrate`, and
+    // startup fails while any are pending.
+    async init() {
+      if (process.env.MIGRATE_ON_START === 'false') {
+        const pending = (await migrationStatus(pool)).filter(migration => !migration.appliedAt);
+        if (pending.length > 0) {
+          throw new Error(`${pending.length} pending migration(s) - run npm run migrate`);
+        }
+        return;
+      }
+      await migrateUp(pool);
+    },
+
+    migrateUp: options => migrateUp(pool, options),
+    migrateDown: options => migrateDown(pool, options),
+    migrationStatus: options => migrationStatus(pool, options),
+
+    async ping() {
+      await pool.query('SELECT 1');
+    },
+
+    close() {
+      return pool.end();
+    },
+
+    // Connection pool usage for /metrics
+    poolStats() {
+      return { total: pool.totalCount, idle: pool.idleCount, waiting: pool.waitingCount };
+    },
+
+    createGroup(groupId, data, passcodeHash = null) {
+      return withTransaction(pool, async client => {
+        await client.query(
+          'INSERT INTO groups (group_id, data, revision, updated_at, passcode_hash) VALUES ($1, $2, 1, CURRENT_TIMESTAMP, $3)',
+          [groupId, JSON.stringify(withoutUsers(data)), passcodeHash]
+        );
+        await saveUsers(client, groupId, {}, data.users);
+      });
+    },
+
+    // Apply a change to one group inside a transaction. The row is locked
+    // until the change commits, so concurrent changes run one after another.
+    // applyChange(data, revision, tx) resolves to the new data; tx has the
+    // same queries as the storage, committed together with the group.
+    // Resolves to the new revision, or null when the group doesn't exist.
+    updateGroup(groupId, applyChange) {
+      return withTransaction(pool, async client => {
+        const result = await client.query(
+          'SELECT group_id, data, revision FROM groups WHERE group_id = $1 AND deleted_at IS NULL FOR UPDATE',
+          [groupId]
+        );
+
+        if (result.rows.length === 0) {
+          return null;
+        }
+
+        const [group] = await withUsers(client, result.rows);
+        const previousUsers = structuredClone(group.data.users);
+        const newData = await applyChange(group.data, group.revision, createQueries(client));
+
+        const updated = await client.query(
+          'UPDATE groups SET data = $1, revision = revision + 1, updated_at = CURRENT_TIMESTAMP WHERE group_id = $2 RETURNING revision',
+          [JSON.stringify(withoutUsers(newData)), groupId]
+        );
+        await saveUsers(client, groupId, previousUsers, newData.users);
+
+        return updated.rows[0].revision;
+      });
+    }
+  };
+}
+
+module.exports = createPostgresStorage;
@@ -0,0 +1,82 @@
+// Service worker: keeps the app shell and the last-seen version of each
+// group cached, so the app opens and shows your group without a connection.
+// Changes made offline are queued by index.html itself, not here.
+
+const CACHE_NAME = 'comegiftit-v2';
+const APP_SHELL = [
+    '/', '/index.html', '/manifest.webmanifest', '/icon.svg',
+    '/i18n.js', '/eventTypes.js', '/locales/es.json', '/locales/fr.json'
+];
+
+// GET /api/groups/:groupId (not /events, /history, ...)
+const GROUP_URL = /^\/api\/groups\/[a-zA-Z0-9_-]+$/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Network first, so members always see the latest data when they're online;
+// the cache only answers when the network can't
+async function networkFirst(request, cacheKey, shouldCache) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (await shouldCache(response)) {
+            await cache.put(cacheKey, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(cacheKey);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+// Only successful group reads are kept (not "needs a passcode" or errors)
+async function isGroupData(response) {
+    if (!response.ok) return false;
+    try {
+        const result = await response.clone().json();
+        return Boolean(result.success && result.data);
+    } catch (error) {
+        return false;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    // Every page of the app is index.html plus a #group hash
+    if (request.mode === 'navigate' && (url.pathname === '/' || url.pathname === '/index.html')) {
+        event.respondWith(networkFirst(request, '/index.html', async response => response.ok));
+        return;
+    }
+
+    if (GROUP_URL.test(url.pathname)) {
+        event.respondWith(networkFirst(request, url.pathname, isGroupData));
+        return;
+    }
+
+    if (APP_SHELL.includes(url.pathname)) {
+        event.respondWith(networkFirst(request, url.pathname, async response => response.ok));
+    }
+});
@@ -0,0 +1,183 @@
+// API tests against the in-memory storage backend: run with `npm test`, no
+// database needed. Each test file gets its own server (and rate limits).
+process.env.STORAGE = 'memory';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, storage, toPublicGroupData } = require('../server');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  await storage.init();
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await storage.close();
+});
+
+async function api(method, url, { body, token } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token && token.memberToken) headers['X-Member-Token'] = token.memberToken;
+  if (token && token.creatorToken) headers['X-Creator-Token'] = token.creatorToken;
+
+  const res = await fetch(baseUrl + url, { method, headers, body: body ? JSON.stringify(body) : undefined });
+  return { status: res.status, body: await res.json() };
+}
+
+// A group created by Ann, with Bob joined and one item on Ann's wishlist
+async function createGroup() {
+  const created = await api('POST', '/api/groups', {
+    body: { groupName: 'Test Family', holiday: 'Christmas', createdBy: 'Ann', users: { Ann: { items: [] } } }
+  });
+  assert.equal(created.status, 200);
+  const groupId = created.body.groupId;
+  const ann = { memberToken: created.body.memberToken, creatorToken: created.body.creatorToken };
+
+  const joined = await api('POST', `/api/groups/${groupId}/users`, { body: { username: 'Bob' } });
+  assert.equal(joined.status, 200);
+  const bob = { memberToken: joined.body.memberToken };
+
+  const added = await api('POST', `/api/groups/${groupId}/users/Ann/items`, {
+    body: { item: { description: 'Blue sweater', priority: 'high' } },
+    token: ann
+  });
+  assert.equal(added.status, 200);
+  const itemId = added.body.data.users.Ann.items[0].id;
+
+  return { groupId, ann, bob, itemId };
+}
+
+test('creating a group issues creator tokens and joining adds the member', async () => {
+  const { groupId, ann, bob } = await createGroup();
+  assert.ok(ann.memberToken);
+  assert.ok(ann.creatorToken);
+  assert.ok(bob.memberToken);
+
+  const loaded = await api('GET', `/api/groups/${groupId}`, { token: bob });
+  assert.equal(loaded.status, 200);
+  assert.equal(loaded.body.data.groupName, 'Test Family');
+  assert.equal(loaded.body.data.createdBy, 'Ann');
+  assert.deepEqual(Object.keys(loaded.body.data.users).sort(), ['Ann', 'Bob']);
+
+  const me = await api('GET', `/api/groups/${groupId}/me`, { token: bob });
+  assert.equal(me.body.username, 'Bob');
+});
+
+test('joining under a name that already has a token is refused', async () => {
+  const { groupId } = await createGroup();
+  const again = await api('POST', `/api/groups/${groupId}/users`, { body: { username: 'Bob' } });
+  assert.equal(again.status, 409);
+});
+
+test('repeating an add with the same item ID adds the item once', async () => {
+  const { groupId, bob } = await createGroup();
+  const add = () => api('POST', `/api/groups/${groupId}/users/Bob/items`, {
+    body: { item: { id: 'offline1234', description: 'Board game' } },
+    token: bob
+  });
+
+  assert.equal((await add()).status, 200);
+  const again = await add();
+  assert.equal(again.status, 200);
+  assert.deepEqual(again.body.data.users.Bob.items.map(item => item.id), ['offline1234']);
+});
+
+test('members can claim and unclaim items on other wishlists, but not their own', async () => {
+  const { groupId, ann, bob, itemId } = await createGroup();
+  const itemUrl = `/api/groups/${groupId}/users/Ann/items/${itemId}`;
+
+  const claimed = await api('POST', `${itemUrl}/claim`, { token: bob });
+  assert.equal(claimed.status, 200);
+  assert.deepEqual(claimed.body.data.users.Ann.items[0].claimedBy, ['Bob']);
+
+  const own = await api('POST', `${itemUrl}/claim`, { token: ann });
+  assert.equal(own.status, 400);
+
+  const unclaimed = await api('POST', `${itemUrl}/unclaim`, { token: bob });
+  assert.equal(unclaimed.status, 200);
+  assert.deepEqual(unclaimed.body.data.users.Ann.items[0].claimedBy, []);
+});
+
+test('claims on the viewer\'s own wishlist are left out of the group they load', async () => {
+  const { groupId, ann, bob, itemId } = await createGroup();
+  await api('POST', `/api/groups/${groupId}/users/Ann/items/${itemId}/claim`, { token: bob });
+
+  const asAnn = await api('GET', `/api/groups/${groupId}`, { token: ann });
+  assert.deepEqual(asAnn.body.data.users.Ann.items[0].claimedBy, []);
+
+  const asBob = await api('GET', `/api/groups/${groupId}`, { token: bob });
+  assert.deepEqual(asBob.body.data.users.Ann.items[0].claimedBy, ['Bob']);
+
+  const asStranger = await api('GET', `/api/groups/${groupId}`);
+  assert.deepEqual(asStranger.body.data.users.Ann.items[0].claimedBy, []);
+});
+
+test('toPublicGroupData hides claims on the viewer\'s own and managed lists until the event', () => {
+  const item = { id: 'a1', description: 'Scarf', claimedBy: ['Bob'], splitWith: ['Cat'], purchased: true };
+  const data = {
+    groupName: 'Test Family',
+    eventDate: '2999-12-25',
+    users: {
+      Ann: { items: [item] },
+      Bob: { items: [] },
+      Kid: { items: [item], managedBy: 'Ann', managerIsRecipient: true }
+    }
+  };
+
+  const forAnn = toPublicGroupData(data, 'Ann');
+  for (const username of ['Ann', 'Kid']) {
+    assert.deepEqual(forAnn.users[username].items[0], { ...item, claimedBy: [], splitWith: [], purchased: false });
+  }
+
+  const forBob = toPublicGroupData(data, 'Bob');
+  assert.deepEqual(forBob.users.Ann.items[0], item);
+
+  const afterEvent = toPublicGroupData({ ...data, eventDate: '2000-12-25' }, 'Ann');
+  assert.deepEqual(afterEvent.users.Ann.items[0], item);
+});
+
+test('replacing the group with a stale revision is rejected with 409', async () => {
+  const { groupId, ann, bob, itemId } = await createGroup();
+  const loaded = await api('GET', `/api/groups/${groupId}`, { token: ann });
+  const staleRevision = loaded.body.revision;
+
+  // Someone else changes the group in between
+  await api('POST', `/api/groups/${groupId}/users/Ann/items/${itemId}/claim`, { token: bob });
+
+  const stale = await api('POST', `/api/groups/${groupId}`, {
+    body: { ...loaded.body.data, groupName: 'Renamed', revision: staleRevision },
+    token: ann
+  });
+  assert.equal(stale.status, 409);
+
+  const fresh = await api('GET', `/api/groups/${groupId}`, { token: ann });
+  const saved = await api('POST', `/api/groups/${groupId}`, {
+    body: { ...fresh.body.data, groupName: 'Renamed', revision: fresh.body.revision },
+    token: ann
+  });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body.revision, fresh.body.revision + 1);
+});
+
+test('live updates are only streamed to members of an existing group', async () => {
+  const { groupId, bob } = await createGroup();
+
+  const unknown = await fetch(`${baseUrl}/api/groups/no-such-group/events?token=${bob.memberToken}`);
+  assert.equal(unknown.status, 404);
+
+  const anonymous = await fetch(`${baseUrl}/api/groups/${groupId}/events`);
+  assert.equal(anonymous.status, 401);
+
+  const controller = new AbortController();
+  const stream = await fetch(`${baseUrl}/api/groups/${groupId}/events?token=${bob.memberToken}`, { signal: controller.signal });
+  assert.equal(stream.status, 200);
+  assert.match(stream.headers.get('content-type'), /text\/event-stream/);
+  controller.abort();
+});
@@ -0,0 +1,66 @@
+// Tests for the import parsers
+process.env.STORAGE = 'memory';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePastedList, parseImport } = require('../server');
+
+function parseOne(line) {
+  const items = parsePastedList(line);
+  assert.equal(items.length, 1);
+  return items[0];
+}
+
+test('picks up exact prices with thousands separators', () => {
+  const item = parseOne('Headphones $1,299.99');
+  assert.equal(item.description, 'Headphones');
+  assert.equal(item.amount, 1299.99);
+
+  assert.equal(parseOne('Bike €2,500').amount, 2500);
+  assert.equal(parseOne('Watch 1,050 dollars').amount, 1050);
+  assert.equal(parseOne('Mug $12.50').amount, 12.5);
+});
+
+test('picks up a trailing priority hint', () => {
+  assert.deepEqual(
+    [parseOne('Socks - low'), parseOne('Board game – high')].map(({ description, priority }) => ({ description, priority })),
+    [{ description: 'Socks', priority: 'low' }, { description: 'Board game', priority: 'high' }]
+  );
+
+  // "medium" is more often a size than a priority
+  const shirt = parseOne('T-shirt - medium');
+  assert.equal(shirt.description, 'T-shirt - medium');
+  assert.equal(shirt.priority, 'medium');
+});
+
+test('drops bullets and checkboxes', () => {
+  const items = parsePastedList('- [ ] Scarf, around 20 EUR\n* [x] Gloves\n[ ] Hat\n1. Mittens');
+  assert.deepEqual(items.map(item => item.description), ['Scarf', 'Gloves', 'Hat', 'Mittens']);
+  assert.equal(items[0].amount, 20);
+});
+
+test('keeps the existing hints working', () => {
+  const item = parseOne('Lego set (high) $25-$50 https://example.com/lego');
+  assert.equal(item.description, 'Lego set');
+  assert.equal(item.priority, 'high');
+  assert.equal(item.price, '$25-$50');
+  assert.equal(item.amount, null);
+  assert.equal(item.details, 'https://example.com/lego');
+
+  assert.equal(parseOne('Candle maybe').priority, 'low');
+  assert.equal(parseOne('Book under $25').price, 'Under $25');
+});
+
+test('CSV lists keyed by names like __proto__ are read as plain names', () => {
+  const single = parseImport('csv', 'user,description\n__proto__,Scarf\n__proto__,Gloves', 'Ann');
+  assert.deepEqual(single.map(item => item.description), ['Scarf', 'Gloves']);
+
+  const own = parseImport('csv', 'user,description\nconstructor,Scarf\nAnn,Hat', 'Ann');
+  assert.deepEqual(own.map(item => item.description), ['Hat']);
+
+  assert.throws(
+    () => parseImport('csv', 'user,description\n__proto__,Scarf\nconstructor,Hat', 'Ann'),
+    error => error.status === 400
+  );
+});
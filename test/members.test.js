@@ -0,0 +1,109 @@
+// Tests for names that joined before member tokens existed: nobody can take
+// them over by joining, only the creator can hand out their sign-in link.
+process.env.STORAGE = 'memory';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, storage } = require('../server');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  await storage.init();
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await storage.close();
+});
+
+async function api(method, url, { body, token } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token && token.memberToken) headers['X-Member-Token'] = token.memberToken;
+  if (token && token.creatorToken) headers['X-Creator-Token'] = token.creatorToken;
+
+  const res = await fetch(baseUrl + url, { method, headers, body: body ? JSON.stringify(body) : undefined });
+  return { status: res.status, body: await res.json() };
+}
+
+// An old group: Ann created it and Gran is on it, but neither has a token
+let legacyCount = 0;
+async function createLegacyGroup() {
+  const groupId = `legacy-group-${++legacyCount}`;
+  await storage.createGroup(groupId, {
+    groupName: 'Old Family',
+    holiday: 'Christmas',
+    createdBy: 'Ann',
+    users: { Ann: { items: [] }, Gran: { items: [] } }
+  });
+  return groupId;
+}
+
+test('joining as a legacy creator name is refused and hands out no creator token', async () => {
+  const groupId = await createLegacyGroup();
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const joined = await api('POST', `/api/groups/${groupId}/users`, { body: { username: 'Ann' } });
+    assert.equal(joined.status, 409);
+    assert.equal(joined.body.creatorToken, undefined);
+    assert.equal(joined.body.memberToken, undefined);
+  }
+
+  const roles = await storage.getMemberTokenRoles(groupId, 'Ann');
+  assert.deepEqual(roles, []);
+});
+
+test('joining as a legacy member name is refused', async () => {
+  const groupId = await createLegacyGroup();
+  const joined = await api('POST', `/api/groups/${groupId}/users`, { body: { username: 'Gran' } });
+  assert.equal(joined.status, 409);
+  assert.equal(joined.body.memberToken, undefined);
+});
+
+test('a new name joining a legacy group gets a member token only', async () => {
+  const groupId = await createLegacyGroup();
+  const joined = await api('POST', `/api/groups/${groupId}/users`, { body: { username: 'Cat' } });
+  assert.equal(joined.status, 200);
+  assert.ok(joined.body.memberToken);
+  assert.equal(joined.body.creatorToken, undefined);
+});
+
+test('only the creator can make a sign-in link, and only once per member', async () => {
+  const created = await api('POST', '/api/groups', {
+    body: { groupName: 'New Family', holiday: 'Christmas', createdBy: 'Ann', users: { Ann: { items: [] } } }
+  });
+  assert.equal(created.status, 200);
+  const groupId = created.body.groupId;
+  const ann = { memberToken: created.body.memberToken, creatorToken: created.body.creatorToken };
+
+  const bobJoined = await api('POST', `/api/groups/${groupId}/users`, { body: { username: 'Bob' } });
+  const bob = { memberToken: bobJoined.body.memberToken };
+
+  // Gran predates tokens
+  await storage.updateGroup(groupId, data => {
+    data.users.Gran = { items: [] };
+    return data;
+  });
+
+  const byBob = await api('POST', `/api/groups/${groupId}/users/Gran/link`, { token: bob });
+  assert.equal(byBob.status, 403);
+
+  const byAnn = await api('POST', `/api/groups/${groupId}/users/Gran/link`, { token: ann });
+  assert.equal(byAnn.status, 200);
+  assert.ok(byAnn.body.memberToken);
+  assert.equal(byAnn.body.creatorToken, undefined);
+
+  const me = await api('GET', `/api/groups/${groupId}/me`, { token: { memberToken: byAnn.body.memberToken } });
+  assert.equal(me.body.username, 'Gran');
+
+  const again = await api('POST', `/api/groups/${groupId}/users/Gran/link`, { token: ann });
+  assert.equal(again.status, 409);
+
+  const missing = await api('POST', `/api/groups/${groupId}/users/Nobody/link`, { token: ann });
+  assert.equal(missing.status, 404);
+});
@@ -0,0 +1,83 @@
+// Time-based one-time passwords (RFC 6238) for admin two-factor login.
+// Secrets are base32 so any authenticator app can import them.
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.substring(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = '';
+  for (const char of text.toUpperCase().replace(/=+$/, '')) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.substring(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+function codeAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(value).padStart(DIGITS, '0');
+}
+
+// Resolves the time step the code belongs to, or null when it doesn't match.
+// Codes from one step either side are accepted to allow for clock drift.
+// Callers store the step and refuse it (or older ones) next time, so a code
+// can only be used once.
+function verifyCode(secret, code, now = Date.now()) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const step = currentStep(now);
+  for (const candidate of [step - 1, step, step + 1]) {
+    if (crypto.timingSafeEqual(Buffer.from(codeAt(secret, candidate)), Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// For authenticator apps that scan or paste a setup link
+function otpauthUrl(secret, account, issuer = 'ComeGiftIt') {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: STEP_SECONDS });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = { generateSecret, verifyCode, otpauthUrl };